@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: pointr-word-analysis [options]
+
+Extract articles from the Pointr blog and report their most frequent words.
+
+Article source (the blog listing by default):
+  -n, --count <n>          Latest articles to analyze (default 3)
+      --urls <list>        Comma-separated article URLs instead of the listing
+      --urls-file <file>   File with one article URL per line (# starts a comment)
+      --sitemap <url>      Sitemap (or sitemap index) to take the latest article URLs from
+      --match <regex>      Sitemap URLs to keep (default /blog/)
+      --latest-by <order>  listing (default) or date: newest by publish date in the sitemap and feed
+
+Analysis and output:
+  -t, --top <n>            Top words, keywords and phrases to report (default 5)
+  -f, --format <list>      Report formats, comma-separated (default text; "all" for every format)
+  -o, --output <dir>       Output directory (default ./word-analysis-results)
+
+Browser:
+      --base-url <url>     Site to analyze (default https://www.pointr.tech)
+      --browser <name>     chromium, firefox or webkit (default chromium)
+  -c, --concurrency <n>    Articles extracted at the same time (default 3)
+      --cache              Reuse unchanged articles from the extraction cache (EXTRACTION_CACHE_DIR)
+      --headed             Show the browser
+  -v, --verbose            Log every step
+  -h, --help               Show this help
+`;
+
+const OPTIONS = {
+  count: { type: 'string', short: 'n', default: '3' },
+  urls: { type: 'string' },
+  'urls-file': { type: 'string' },
+  sitemap: { type: 'string' },
+  match: { type: 'string', default: '/blog/' },
+  'latest-by': { type: 'string', default: 'listing' },
+  top: { type: 'string', short: 't', default: '5' },
+  format: { type: 'string', short: 'f', default: 'text' },
+  output: { type: 'string', short: 'o', default: './word-analysis-results' },
+  'base-url': { type: 'string', default: 'https://www.pointr.tech' },
+  browser: { type: 'string', default: 'chromium' },
+  concurrency: { type: 'string', short: 'c', default: '3' },
+  cache: { type: 'boolean', default: false },
+  headed: { type: 'boolean', default: false },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Thrown for invalid command line options; printed with the usage text
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse and validate the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options
+ * @throws {UsageError} On unknown or invalid options
+ */
+function parseOptions(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const positive = name => {
+    const value = Number(values[name]);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new UsageError(`--${name} must be a positive whole number, got "${values[name]}"`);
+    }
+    return value;
+  };
+
+  if (!['chromium', 'firefox', 'webkit'].includes(values.browser)) {
+    throw new UsageError(`--browser must be chromium, firefox or webkit, got "${values.browser}"`);
+  }
+
+  if (!['listing', 'date'].includes(values['latest-by'])) {
+    throw new UsageError(`--latest-by must be listing or date, got "${values['latest-by']}"`);
+  }
+
+  if (values['urls-file']) {
+    let stats;
+    try {
+      stats = fs.statSync(values['urls-file']);
+    } catch (error) {
+      throw new UsageError(`--urls-file cannot be read: ${error.message}`);
+    }
+    if (!stats.isFile()) {
+      throw new UsageError(`--urls-file must be a file, got "${values['urls-file']}"`);
+    }
+  }
+
+  let match;
+  try {
+    match = new RegExp(values.match);
+  } catch (error) {
+    throw new UsageError(`--match is not a valid regular expression: ${error.message}`);
+  }
+
+  return {
+    count: positive('count'),
+    urls: values.urls ? values.urls.split(',').map(url => url.trim()).filter(Boolean) : null,
+    urlsFile: values['urls-file'] || null,
+    sitemap: values.sitemap || null,
+    match,
+    latestBy: values['latest-by'],
+    top: positive('top'),
+    formats: values.format.split(',').map(format => format.trim()).filter(Boolean),
+    output: values.output,
+    baseURL: values['base-url'],
+    browser: values.browser,
+    concurrency: positive('concurrency'),
+    cache: values.cache,
+    headed: values.headed,
+    verbose: values.verbose,
+    help: values.help,
+  };
+}
+
+/**
+ * Read article URLs from a file, one per line
+ * @param {string} filePath - File path
+ * @returns {Array} URLs
+ */
+function readUrlsFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Article URLs to analyze: --urls, --urls-file, --sitemap or the blog (listing or discovery)
+ * @param {import('@playwright/test').Page} page - Page for the blog listing
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Array>} Article URLs
+ */
+async function resolveArticleUrls(page, options) {
+  if (options.urls || options.urlsFile) {
+    return [...(options.urls || []), ...(options.urlsFile ? readUrlsFile(options.urlsFile) : [])];
+  }
+
+  if (options.sitemap) {
+    const ArticleDiscovery = require('../utils/ArticleDiscovery');
+    const discovery = new ArticleDiscovery(page.request, { baseURL: options.baseURL });
+    const { pages, errors } = await discovery.readSitemap(new URL(options.sitemap, options.baseURL).href);
+    errors.forEach(error => process.stderr.write(`${error}\n`));
+    // Newest first; pages without a date come last
+    const matching = pages.filter(entry => options.match.test(entry.url));
+    return ArticleDiscovery.latest(matching, options.count).map(entry => entry.url);
+  }
+
+  const BlogPage = require('../pages/BlogPage');
+  const blogPage = new BlogPage(page);
+  await blogPage.navigateToBlog();
+  return blogPage.getLatestArticleLinks(options.count, { by: options.latestBy });
+}
+
+/**
+ * Plain text table with padded columns
+ * @param {Array} headers - Column headers
+ * @param {Array} rows - Rows of cells
+ * @returns {string} Table
+ */
+function formatTable(headers, rows) {
+  const cell = value => {
+    const text = String(value ?? '');
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  };
+  const cells = [headers, ...rows].map(row => row.map(cell));
+  const widths = headers.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+  const line = row => row.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [line(cells[0]), widths.map(width => '-'.repeat(width)).join('  '), ...cells.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Summary of a report for the terminal
+ * @param {Object} report - Result of ReportWriter.buildReport()
+ * @returns {string} Summary text
+ */
+function renderSummary(report) {
+  const { summary, articles, combined } = report;
+  return [
+    `Articles: ${summary.analyzedArticles} analyzed, ${summary.failedArticles} failed, ${summary.totalWords} words`,
+    '',
+    formatTable(['#', 'Title', 'Words', 'Top words', 'Error'], articles.map(article => [
+      article.index, article.title, article.totalWords,
+      article.topWords.slice(0, 3).map(item => item.term).join(', '), article.error ?? '',
+    ])),
+    '',
+    formatTable(['#', 'Word', 'Count'], combined.topWords.map((item, index) => [index + 1, item.term, item.count])),
+    '',
+    formatTable(['#', 'Keyword', 'Score'], combined.topKeywords.map((item, index) => [index + 1, item.term, item.score])),
+    '',
+    formatTable(['#', 'Phrase', 'Count'], combined.topPhrases.map((item, index) => [index + 1, item.term, item.count])),
+  ].join('\n');
+}
+
+/**
+ * Run the CLI
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  // Step logs go to stdout, so keep them out of the summary unless asked for; page objects read these on load
+  if (!options.verbose) process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+  process.env.PERF_HISTORY = process.env.PERF_HISTORY || path.join(options.output, 'performance-history.jsonl');
+
+  const playwright = require('@playwright/test');
+  const ArticleExtractor = require('../utils/ArticleExtractor');
+  const ArticleAggregator = require('../utils/ArticleAggregator');
+  const ExtractionCache = require('../utils/ExtractionCache');
+  const WordAnalyzer = require('../utils/WordAnalyzer');
+  const ReportWriter = require('../utils/ReportWriter');
+  const TestHelpers = require('../utils/TestHelpers');
+
+  const formats = options.formats.includes('all') ? ReportWriter.getFormats() : options.formats;
+  const unknown = formats.filter(format => !ReportWriter.getFormats().includes(format));
+  if (unknown.length > 0) {
+    process.stderr.write(`Unknown format ${unknown.join(', ')}; available: ${ReportWriter.getFormats().join(', ')}\n`);
+    return 2;
+  }
+
+  const browser = await playwright[options.browser].launch({ headless: !options.headed });
+  try {
+    const context = await browser.newContext({ baseURL: options.baseURL });
+    const page = await context.newPage();
+
+    const urls = await resolveArticleUrls(page, options);
+    if (urls.length === 0) {
+      process.stderr.write('No article URLs found\n');
+      return 1;
+    }
+
+    // Progress goes to stderr so stdout keeps only the summary
+    const baseName = `word-frequency-results-${options.browser}-${TestHelpers.getTimestamp()}`;
+    const extractor = new ArticleExtractor(context, {
+      cache: options.cache ? new ExtractionCache(process.env.EXTRACTION_CACHE_DIR || '.cache/articles') : null,
+      aggregator: new ArticleAggregator(path.join(options.output, 'articles', baseName)),
+      log: (message, status) => {
+        if (status !== 'DEBUG') process.stderr.write(`[${status}] ${message}\n`);
+      },
+    });
+    const articles = await extractor.extract(urls, { concurrency: options.concurrency });
+    await extractor.close();
+    const analysis = new WordAnalyzer().analyzeMultipleArticles(articles, options.top);
+    const report = ReportWriter.buildReport(analysis, {
+      browser: options.browser,
+      baseURL: options.baseURL,
+      generatedBy: 'pointr-word-analysis',
+    });
+
+    const written = await ReportWriter.writeReports(report, {
+      formats,
+      outputDir: options.output,
+      baseName,
+    });
+
+    process.stdout.write(`${renderSummary(report)}\n\n`);
+    written.forEach(file => process.stdout.write(`Saved ${file.format}: ${file.path}\n`));
+    return report.summary.analyzedArticles > 0 ? 0 : 1;
+  } finally {
+    await browser.close();
+  }
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  }, error => {
+    process.stderr.write(`${error.stack || error.message}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main, parseOptions, renderSummary, UsageError };
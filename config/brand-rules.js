@@ -0,0 +1,30 @@
+/**
+ * Brand Rules
+ * Glossary checked per article by brand.spec.js. Each rule has a type:
+ *   required  - the term must appear in the title or text
+ *   forbidden - the term must not appear
+ *   preferred - every match must be written exactly as `replacement`
+ * Patterns are plain strings (whole words, any case unless ignoreCase is
+ * false), regular expressions, or arrays of either. Severities are info,
+ * warning or error; articles fail on violations of `failOn` or above.
+ *
+ * This is an example until the brand glossary is added: its rules are
+ * warnings, so they are reported without failing the default run. Fill in
+ * the forbidden and required terms from the glossary, e.g.
+ *   { id: 'competitor-names', type: 'forbidden', pattern: ['<competitor>'], severity: 'error' }
+ *   { id: 'product-terms', type: 'required', pattern: ['<product term>'], ignoreCase: false, severity: 'error' }
+ * or point BRAND_RULES at a glossary file of your own.
+ */
+module.exports = {
+  failOn: 'error',
+  rules: [
+    {
+      id: 'pointr-capitalization',
+      type: 'preferred',
+      // Domain names such as pointr.tech are left alone
+      pattern: /\bpointr\b(?!\.\w)/gi,
+      replacement: 'Pointr',
+      severity: 'warning',
+    },
+  ],
+};
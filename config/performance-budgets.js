@@ -0,0 +1,41 @@
+/**
+ * Performance Budgets
+ * Limits per page type (the page object's selector group). Times are in ms,
+ * transferSize in bytes, cls unitless. Metrics without a limit are recorded
+ * but not checked.
+ */
+module.exports = {
+  default: {
+    ttfb: 1800,
+    fcp: 3000,
+    lcp: 4000,
+    cls: 0.25,
+    tbt: 600,
+    load: 10000,
+  },
+  blog: {
+    transferSize: 6 * 1024 * 1024,
+    requests: 150,
+  },
+  article: {
+    lcp: 3500,
+    transferSize: 4 * 1024 * 1024,
+    requests: 120,
+  },
+
+  // Throttled runs (PERF_PROFILE) are slower by design; these are merged over the limits above
+  profiles: {
+    'slow-4g': {
+      blog: { fcp: 6000, lcp: 10000, tbt: 2000, load: 30000 },
+      article: { fcp: 6000, lcp: 9000, tbt: 2000, load: 25000 },
+    },
+    'fast-3g': {
+      blog: { ttfb: 3000, fcp: 8000, lcp: 14000, tbt: 2000, load: 45000 },
+      article: { ttfb: 3000, fcp: 8000, lcp: 12000, tbt: 2000, load: 40000 },
+    },
+    'cpu-only': {
+      blog: { lcp: 6000, tbt: 3000 },
+      article: { lcp: 5000, tbt: 3000 },
+    },
+  },
+};
@@ -0,0 +1,13 @@
+/**
+ * Readability Thresholds
+ * Limits checked per article by readability.spec.js. Reading time is in
+ * minutes; grades are US school grades; Flesch reading ease runs from 0
+ * (very hard) to 100 (very easy). Remove a limit to stop checking it.
+ */
+module.exports = {
+  maxReadingTime: 15,
+  maxAverageSentenceLength: 25,
+  maxFleschKincaidGrade: 14,
+  maxGunningFog: 18,
+  minFleschReadingEase: 25,
+};
@@ -0,0 +1,13 @@
+/**
+ * Similarity Thresholds
+ * Scores from 0 to 1 at which similarity.spec.js reports a pair of articles.
+ * Resemblance is the share of word shingles both articles have in common;
+ * containment the share of the shorter article found in the other one;
+ * cosine compares their term counts, so it also rises for articles on the
+ * same topic.
+ */
+module.exports = {
+  resemblance: 0.5,
+  containment: 0.3,
+  cosine: 0.9,
+};
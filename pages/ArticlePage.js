@@ -1,4 +1,7 @@
 const BasePage = require('./BasePage');
+const MetadataExtractor = require('../utils/MetadataExtractor');
+const ContentValidator = require('../utils/ContentValidator');
+const SeoChecker = require('../utils/SeoChecker');
 
 /**
  * Article Page Object Model
@@ -6,18 +9,20 @@ const BasePage = require('./BasePage');
  */
 class ArticlePage extends BasePage {
   constructor(page) {
-    super(page);
+    // Element locators live in the 'article' group of the SelectorRegistry
+    super(page, 'article');
     
-    // Page selectors
+    // Selectors used inside page scripts rather than resolved as elements
     this.selectors = {
-      articleTitle: 'section[class=blog-post-main] h1',
-      articleText: 'p',
-      authorInfo: '[class*="author"]',
-      publishDate: '[class*="date"]',
-      // Content selectors for text extraction
       paragraphs: 'p',
-      headings: 'h1, h2, h3, h4, h5, h6',
+      // Site chrome removed from the article body before extraction
+      boilerplate: 'nav, footer, aside, form, script, style, noscript, iframe, [role="navigation"], ' +
+        '[class*="cookie"], [id*="cookie"], [class*="related"], [class*="share"], ' +
+        '[class*="newsletter"], [class*="breadcrumb"]',
     };
+
+    // Regions that change between runs, masked in visual snapshots
+    this.visualMasks = ['publishDate', 'cookieBanner'];
   }
 
   /**
@@ -29,20 +34,75 @@ class ArticlePage extends BasePage {
     await this.waitForPageLoad();
   }
 
+  /**
+   * Open an article and extract what the word analysis needs
+   * @param {string} articleUrl - The article URL
+   * @param {Object} options - Extraction options
+   * @param {number} options.minTextLength - Shortest text accepted as an article (default 100)
+   * @returns {Promise<Object>} {title, url, text, prose, author, date, metadata}; text keeps
+   *   punctuation so phrase analysis respects sentence boundaries, and prose is the running
+   *   text (no headings or code) used for readability statistics. Bump
+   *   ExtractionCache.EXTRACTION_VERSION when this changes, or cached articles keep the old shape
+   * @throws {Error} When the page doesn't load or has too little text
+   */
+  async extractArticle(articleUrl, { minTextLength = 100 } = {}) {
+    await this.navigateToArticle(articleUrl);
+
+    const check = await this.checkArticlePage();
+    if (!check.loaded) {
+      throw new Error(`Article did not load: ${check.problems.join('; ')}`);
+    }
+
+    // Scroll through article to ensure all content is loaded
+    await this.scrollThroughArticle();
+
+    const title = await this.getArticleTitle();
+    const { text, prose } = await this.getArticleDocument();
+    const metadata = await this.getMetadata();
+
+    if (text.length <= minTextLength) {
+      throw new Error(`Article text is only ${text.length} characters`);
+    }
+
+    return {
+      title,
+      url: articleUrl,
+      text,
+      prose,
+      author: metadata.authors.value.join(', ') || 'Unknown Author',
+      date: metadata.datePublished.value || 'Unknown Date',
+      metadata,
+    };
+  }
+
   /**
    * Verify article page has loaded correctly
    * @returns {Promise<boolean>} True if article page loaded successfully
    */
   async isArticlePageLoaded() {
+    return (await this.checkArticlePage()).loaded;
+  }
+
+  /**
+   * Check the article page and explain what is wrong with it
+   * @returns {Promise<Object>} {loaded, problems, diagnostics}; problems lists failed
+   *   navigations, HTTP errors, truncated HTML, failed requests and missing content
+   */
+  async checkArticlePage() {
+    const problems = this.getLoadProblems();
+
     try {
       // Check for article title or content
-      const titleExists = await this.isElementPresent(this.selectors.articleTitle);
+      const titleExists = await this.hasElement('articleTitle');
       const hasText = await this.hasArticleText();
-      
-      return titleExists && hasText;
+
+      if (!titleExists) problems.push('Article title not found');
+      if (!hasText) problems.push('Article has no paragraphs');
+      return { loaded: titleExists && hasText, problems, diagnostics: this.getLoadDiagnostics() };
     } catch (error) {
       console.error('Error checking if article page loaded:', error);
-      return false;
+      problems.push(`Article page check failed: ${error.message}`);
+      return { loaded: false, problems, diagnostics: this.getLoadDiagnostics() };
     }
   }
 
@@ -61,14 +121,8 @@ class ArticlePage extends BasePage {
    */
   async getArticleTitle() {
     try {
-      const element = await this.page.$(this.selectors.articleTitle);
-      if (element) {
-        const title = await element.textContent();
-        if (title && title.trim().length > 0) {
-          return title.trim();
-        }
-      }
-      return 'Unknown Title';
+      const title = await this.getElementText('articleTitle');
+      return title || 'Unknown Title';
     } catch (error) {
       console.error('Error getting article title:', error);
       return 'Unknown Title';
@@ -76,20 +130,324 @@ class ArticlePage extends BasePage {
   }
 
   /**
-   * Get all text content from the article
+   * Get all text content from the article body
+   * @param {Object} options - Extraction options
+   * @param {boolean} options.clean - Lowercase and strip punctuation (default true);
+   *   pass false to keep sentence and block boundaries for phrase analysis
    * @returns {Promise<string>} Complete article text
    */
-  async getArticleText() {
+  async getArticleText({ clean = true } = {}) {
+    const articleDocument = await this.getArticleDocument();
+    return clean ? this.cleanText(articleDocument.text) : articleDocument.text;
+  }
+
+  /**
+   * Extract the article body as a structured document. Scoped to the
+   * articleBody element (the blog-post-main section) when present, otherwise to the densest
+   * content block on the page; site chrome is stripped in both cases.
+   * @returns {Promise<Object>} Document with strategy, headings tree, paragraphs,
+   *   listItems, quotes, codeBlocks, the flat text and the prose (paragraphs, list
+   *   items and quotes in reading order, one per blank-line separated block)
+   */
+  async getArticleDocument() {
+    try {
+      const mainHandle = await this.getArticleBodyHandle();
+
+      return await this.page.evaluate(({ main, boilerplateSelector }) => {
+        const BLOCKS = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre';
+        const BOILERPLATE_NAME = /nav|menu|footer|sidebar|cookie|banner|related|share|social|newsletter|comment|promo/i;
+
+        const textOf = el => (el.textContent || '').replace(/\s+/g, ' ').trim();
+
+        // Readability-style scoring: paragraphs award points to their parent and grandparent
+        const findDensestBlock = () => {
+          const scores = new Map();
+          document.querySelectorAll('p').forEach(p => {
+            if (p.closest(boilerplateSelector)) return;
+            const text = textOf(p);
+            if (text.length < 25) return;
+
+            const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+            const parent = p.parentElement;
+            const grandparent = parent?.parentElement;
+            if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+            if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+          });
+
+          let best = null;
+          let bestScore = 0;
+          scores.forEach((score, el) => {
+            const textLength = textOf(el).length || 1;
+            const linkLength = Array.from(el.querySelectorAll('a')).reduce((sum, a) => sum + textOf(a).length, 0);
+            const name = `${el.id} ${el.className}`;
+            const adjusted = score * (1 - linkLength / textLength) * (BOILERPLATE_NAME.test(name) ? 0.25 : 1);
+            if (adjusted > bestScore) {
+              best = el;
+              bestScore = adjusted;
+            }
+          });
+          return best || document.body;
+        };
+
+        const strategy = main ? 'main-section' : 'density';
+        const root = (main || findDensestBlock()).cloneNode(true);
+        root.querySelectorAll(boilerplateSelector).forEach(el => el.remove());
+
+        const result = {
+          strategy,
+          headings: [],
+          paragraphs: [],
+          listItems: [],
+          quotes: [],
+          codeBlocks: [],
+          text: '',
+          prose: '',
+        };
+        const headingStack = [];
+        const blocks = [];
+        const proseBlocks = [];
+
+        root.querySelectorAll(BLOCKS).forEach(el => {
+          // Text inside list items, quotes and code blocks belongs to that block only
+          const container = el.parentElement?.closest('li, blockquote, pre');
+          if (container && root.contains(container)) return;
+
+          const text = el.tagName === 'PRE' ? el.textContent.trim() : textOf(el);
+          if (!text) return;
+          blocks.push(text);
+
+          const tag = el.tagName.toLowerCase();
+          if (['p', 'li', 'blockquote'].includes(tag)) proseBlocks.push(text);
+          if (/^h[1-6]$/.test(tag)) {
+            const heading = { level: Number(tag[1]), text, children: [] };
+            while (headingStack.length && headingStack[headingStack.length - 1].level >= heading.level) {
+              headingStack.pop();
+            }
+            (headingStack.length ? headingStack[headingStack.length - 1].children : result.headings).push(heading);
+            headingStack.push(heading);
+          } else if (tag === 'p') {
+            result.paragraphs.push(text);
+          } else if (tag === 'li') {
+            result.listItems.push(text);
+          } else if (tag === 'blockquote') {
+            result.quotes.push(text);
+          } else {
+            result.codeBlocks.push(text);
+          }
+        });
+
+        result.text = blocks.join('\n\n');
+        result.prose = proseBlocks.join('\n\n');
+        return result;
+      }, { main: mainHandle, boilerplateSelector: this.selectors.boilerplate });
+    } catch (error) {
+      console.error('Error getting article document:', error);
+      return { strategy: null, headings: [], paragraphs: [], listItems: [], quotes: [], codeBlocks: [], text: '', prose: '' };
+    }
+  }
+
+  /**
+   * Get a handle to the article body element
+   * @returns {Promise<Object|null>} Element handle, or null when no candidate matches
+   */
+  async getArticleBodyHandle() {
+    const articleBody = await this.resolveElement('articleBody', { timeout: 0, optional: true });
+    return articleBody ? articleBody.locator.first().elementHandle() : null;
+  }
+
+  /**
+   * Get the links inside the article body
+   * @returns {Promise<Array>} Array of {url, text}, one per unique http(s) URL
+   */
+  async getContentLinks() {
+    try {
+      const bodyHandle = await this.getArticleBodyHandle();
+      return await this.page.evaluate(({ root, boilerplateSelector }) => {
+        const seen = new Set();
+        return Array.from((root || document.body).querySelectorAll('a[href]'))
+          .filter(a => !a.closest(boilerplateSelector))
+          .map(a => ({ url: a.href.split('#')[0], text: (a.textContent || '').replace(/\s+/g, ' ').trim() }))
+          .filter(link => /^https?:/.test(link.url) && !seen.has(link.url) && seen.add(link.url));
+      }, { root: bodyHandle, boilerplateSelector: this.selectors.boilerplate });
+    } catch (error) {
+      console.error('Error getting content links:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Check the HTTP status of every link in the article body. Uses HEAD and
+   * falls back to GET for servers that reject HEAD. Same-origin links are
+   * checked against whichever server is serving the page, so replay runs
+   * check them against the fixture server. A few links are checked at a time.
+   * @param {Object} options - Check options
+   * @param {boolean} options.external - Also check links to other origins (default true)
+   * @param {number} options.timeout - Per-request timeout in ms (default 10000)
+   * @param {number} options.concurrency - Links checked at the same time (default 4)
+   * @returns {Promise<Array>} Array of {url, text, external, status, error, skipped}, in page order
+   */
+  async checkLinks({ external = true, timeout = 10000, concurrency = 4 } = {}) {
+    const links = await this.getContentLinks();
+    const pageOrigin = new URL(this.page.url()).origin;
+    const results = links.map(link => {
+      const isExternal = new URL(link.url).origin !== pageOrigin;
+      return { ...link, external: isExternal, status: null, error: null, skipped: isExternal && !external };
+    });
+
+    const queue = results.filter(result => !result.skipped);
+    const runQueue = async () => {
+      while (queue.length > 0) {
+        const result = queue.shift();
+        Object.assign(result, await this.getUrlStatus(result.url, timeout));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, runQueue));
+
+    return results;
+  }
+
+  /**
+   * Get the HTTP status of a URL with HEAD, falling back to GET for servers
+   * that reject HEAD
+   * @param {string} url - Absolute URL
+   * @param {number} timeout - Request timeout in ms
+   * @returns {Promise<Object>} {status, error}; status is null when the request failed
+   */
+  async getUrlStatus(url, timeout = 10000) {
     try {
-      const textElements = await this.page.$$eval(
-        'p, h1, h2, h3, h4, h5, h6, li',
-        elements => elements.map(el => el.textContent.trim()).filter(text => text.length > 0)
-      );
+      let response = await this.page.request.head(url, { timeout, failOnStatusCode: false });
+      if ([405, 501].includes(response.status())) {
+        response = await this.page.request.get(url, { timeout, failOnStatusCode: false });
+      }
+      return { status: response.status(), error: null };
+    } catch (error) {
+      return { status: null, error: error.message.split('\n')[0] };
+    }
+  }
 
-      return this.cleanText(textElements.join(' '));
+  /**
+   * Get load state and alt text of every image in the article body.
+   * Call scrollThroughArticle() first so lazy images have loaded.
+   * @returns {Promise<Array>} Array of {src, alt, complete, naturalWidth, naturalHeight}
+   */
+  async getImages() {
+    try {
+      const bodyHandle = await this.getArticleBodyHandle();
+      return await this.page.evaluate(root => Array.from((root || document.body).querySelectorAll('img'))
+        .map(img => ({
+          src: img.currentSrc || img.src,
+          alt: img.getAttribute('alt'),
+          complete: img.complete,
+          naturalWidth: img.naturalWidth,
+          naturalHeight: img.naturalHeight,
+        })), bodyHandle);
     } catch (error) {
-      console.error('Error getting article text:', error);
-      return '';
+      console.error('Error getting article images:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the heading outline. The h1 count covers the whole page, the
+   * outline itself only the article body so site chrome doesn't skew it.
+   * @returns {Promise<Object>} {h1Count, headings: [{level, text}]} in document order
+   */
+  async getHeadingOutline() {
+    try {
+      const bodyHandle = await this.getArticleBodyHandle();
+      return await this.page.evaluate(root => ({
+        h1Count: document.querySelectorAll('h1').length,
+        headings: Array.from((root || document.body).querySelectorAll('h1, h2, h3, h4, h5, h6'))
+          .map(heading => ({
+            level: Number(heading.tagName[1]),
+            text: (heading.textContent || '').replace(/\s+/g, ' ').trim(),
+          })),
+      }), bodyHandle);
+    } catch (error) {
+      console.error('Error getting heading outline:', error);
+      return { h1Count: 0, headings: [] };
+    }
+  }
+
+  /**
+   * Validate the article content: links, images, heading structure and
+   * placeholder text
+   * @param {Object} options - Options for checkLinks()
+   * @returns {Promise<Object>} Report from ContentValidator.buildReport()
+   */
+  async validateContent(options = {}) {
+    const title = await this.getArticleTitle();
+    const links = await this.checkLinks(options);
+    const images = await this.getImages();
+    const outline = await this.getHeadingOutline();
+    const articleDocument = await this.getArticleDocument();
+
+    return ContentValidator.buildReport({
+      url: this.page.url(),
+      title,
+      links,
+      images,
+      outline,
+      text: articleDocument.text,
+    });
+  }
+
+  /**
+   * Collect the search and social metadata of the page. URLs are read as
+   * written in the markup, so relative ones can be told apart.
+   * @param {Object} options - Collection options
+   * @param {boolean} options.checkImages - Request og:image and twitter:image (default true)
+   * @param {number} options.timeout - Per-request timeout in ms (default 10000)
+   * @returns {Promise<Object>} {url, title, meta, canonicals, hreflang, jsonLd, imageStatus}
+   */
+  async getSeoData({ checkImages = true, timeout = 10000 } = {}) {
+    const data = await this.page.evaluate(() => ({
+      title: document.title,
+      meta: Array.from(document.querySelectorAll('meta[property], meta[name]'))
+        .map(meta => ({
+          key: meta.getAttribute('property') || meta.getAttribute('name'),
+          content: meta.getAttribute('content'),
+        })),
+      canonicals: Array.from(document.querySelectorAll('link[rel="canonical"]'))
+        .map(link => link.getAttribute('href')),
+      hreflang: Array.from(document.querySelectorAll('link[rel="alternate"][hreflang]'))
+        .map(link => ({ hreflang: link.getAttribute('hreflang'), href: link.getAttribute('href') })),
+      jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+        .map(script => script.textContent),
+    }));
+    data.url = this.page.url();
+    data.imageStatus = {};
+
+    if (checkImages) {
+      const images = new Set(data.meta
+        .filter(({ key, content }) => content && /^(og:image|twitter:image)$/i.test(key || ''))
+        .map(({ content }) => content.trim()));
+
+      for (const image of images) {
+        let absolute;
+        try {
+          absolute = new URL(image, data.url).href;
+        } catch {
+          continue; // Unparseable URLs are reported by SeoChecker
+        }
+        data.imageStatus[image] = (await this.getUrlStatus(absolute, timeout)).status;
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Check the search and social metadata of the article
+   * @param {Object} options - Options for getSeoData() and SeoChecker.check()
+   * @returns {Promise<Object>} Report from SeoChecker.check()
+   */
+  async checkSeo(options = {}) {
+    try {
+      return SeoChecker.check(await this.getSeoData(options), options);
+    } catch (error) {
+      console.error('Error checking article SEO:', error);
+      return SeoChecker.check({ url: this.page.url() }, options);
     }
   }
 
@@ -101,7 +459,7 @@ class ArticlePage extends BasePage {
   cleanText(text) {
     return text
       .replace(/\s+/g, ' ') // Replace multiple whitespace with single space
-      .replace(/[^\w\s]/g, ' ') // Replace non-word characters with space
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ') // Replace non-letter, non-digit characters with space
       .toLowerCase() // Convert to lowercase
       .trim();
   }
@@ -112,23 +470,9 @@ class ArticlePage extends BasePage {
    */
   async getAuthor() {
     try {
-      const authorSelectors = [
-        '.author',
-        '[class*="author"]',
-        'a:has-text("by ")'
-      ];
-
-      for (const selector of authorSelectors) {
-        const element = await this.page.$(selector);
-        if (element) {
-          const author = await element.textContent();
-          if (author && author.trim().length > 0) {
-            return author.trim().replace(/^by\s+/i, '');
-          }
-        }
-      }
-
-      return 'Unknown Author';
+      // Many articles have no byline, so a miss is not drift
+      const author = await this.getElementText('author', { optional: true });
+      return author ? author.replace(/^by\s+/i, '') : 'Unknown Author';
     } catch (error) {
       console.error('Error getting author:', error);
       return 'Unknown Author';
@@ -141,28 +485,52 @@ class ArticlePage extends BasePage {
    */
   async getPublishDate() {
     try {
-      const dateSelectors = [
-        '.date',
-        '[class*="date"]'
-      ];
-
-      for (const selector of dateSelectors) {
-        const element = await this.page.$(selector);
-        if (element) {
-          const date = await element.textContent();
-          if (date && date.trim().length > 0) {
-            return date.trim();
-          }
-        }
-      }
-
-      return 'Unknown Date';
+      const date = await this.getElementText('publishDate', { optional: true });
+      return date || 'Unknown Date';
     } catch (error) {
       console.error('Error getting publish date:', error);
       return 'Unknown Date';
     }
   }
 
+  /**
+   * Get structured article metadata from JSON-LD, OpenGraph/article meta tags
+   * and <time datetime>, falling back to the author/date selectors
+   * @returns {Promise<Object>} Metadata record of {value, source} fields
+   */
+  async getMetadata() {
+    try {
+      const sources = await this.page.evaluate(() => ({
+        jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+          .map(script => script.textContent),
+        meta: Array.from(document.querySelectorAll('meta[property], meta[name]'))
+          .map(meta => ({
+            key: meta.getAttribute('property') || meta.getAttribute('name'),
+            content: meta.getAttribute('content'),
+          })),
+        canonical: document.querySelector('link[rel="canonical"]')?.href || null,
+        times: Array.from(document.querySelectorAll('time[datetime]'))
+          .map(time => time.getAttribute('datetime')),
+      }));
+
+      let metadata = MetadataExtractor.extract(sources);
+
+      // Only guess from page selectors when the structured sources had nothing
+      if (!metadata.authors.source || !metadata.datePublished.source) {
+        sources.selectors = {
+          author: metadata.authors.source ? null : await this.getAuthor(),
+          date: metadata.datePublished.source ? null : await this.getPublishDate(),
+        };
+        metadata = MetadataExtractor.extract(sources);
+      }
+
+      return metadata;
+    } catch (error) {
+      console.error('Error getting article metadata:', error);
+      return MetadataExtractor.extract({});
+    }
+  }
+
   /**
    * Scroll through the entire article to ensure all content is loaded
    */
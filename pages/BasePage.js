@@ -1,25 +1,251 @@
+const path = require('path');
+const { default: AxeBuilder } = require('@axe-core/playwright');
+const SelectorRegistry = require('./SelectorRegistry');
+const TestHelpers = require('../utils/TestHelpers');
+const AccessibilityBaseline = require('../utils/AccessibilityBaseline');
+const PerformanceMonitor = require('../utils/PerformanceMonitor');
+
+const DRIFT_REPORT_PATH = process.env.SELECTOR_DRIFT_REPORT || 'test-results/selector-drift.jsonl';
+const PERFORMANCE_HISTORY_PATH = process.env.PERF_HISTORY || 'test-results/history/performance-history.jsonl';
+// Throttling profile from PerformanceMonitor.PROFILES, e.g. PERF_PROFILE=slow-4g
+const PERFORMANCE_PROFILE = process.env.PERF_PROFILE || null;
+// Extra attempts for navigations that fail, time out or get a 5xx/429, e.g. NAVIGATION_RETRIES=0
+const NAVIGATION_RETRIES = process.env.NAVIGATION_RETRIES !== undefined ? Number(process.env.NAVIGATION_RETRIES) : 2;
+const performanceBudgets = process.env.PERF_BUDGETS
+  ? require(path.resolve(process.env.PERF_BUDGETS))
+  : require('../config/performance-budgets');
+
+// axe-core tags per WCAG conformance level; each level includes the ones below it
+const WCAG_TAGS = {
+  A: ['wcag2a', 'wcag21a'],
+  AA: ['wcag2a', 'wcag21a', 'wcag2aa', 'wcag21aa', 'wcag22aa'],
+  AAA: ['wcag2a', 'wcag21a', 'wcag2aa', 'wcag21aa', 'wcag22aa', 'wcag2aaa'],
+};
+
+// Resolutions recorded in this worker, keyed by "group.element"
+const selectorResolutions = new Map();
+// Drift already written to the report, so each one is logged once per worker
+const reportedDrift = new Set();
+// Performance records collected in this worker, one per navigation
+const performanceResults = [];
+// Per-page load state shared by every page object on the same page: last navigation and failed requests
+const pageStates = new WeakMap();
+
+/**
+ * Thrown by BasePage.goto() when a page can't be loaded: a network failure,
+ * a timeout or an HTTP error status
+ */
+class PageLoadError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - {url, status}; status is null when there was no response
+   */
+  constructor(message, { url, status = null } = {}) {
+    super(message);
+    this.name = 'PageLoadError';
+    this.url = url;
+    this.status = status;
+  }
+}
+
 /**
  * Base Page Object Model class
  * Contains common functionality shared across all page objects
  */
 class BasePage {
-  constructor(page) {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page
+   * @param {string} selectorGroup - Key of this page's entry in the SelectorRegistry
+   */
+  constructor(page, selectorGroup = null) {
     this.page = page;
+    this.selectorGroup = selectorGroup;
+  }
+
+  /**
+   * Navigate to a specific URL. Failed navigations, timeouts and 5xx/429
+   * responses are retried with backoff; other HTTP errors are not.
+   * @param {string} url - The URL to navigate to
+   * @param {Object} options - Options for page.goto(), e.g. {timeout}, plus
+   *   retries (default NAVIGATION_RETRIES, 2)
+   * @throws {PageLoadError} When the last attempt fails or returns an HTTP error status
+   */
+  async goto(url, { retries = NAVIGATION_RETRIES, ...options } = {}) {
+    await TestHelpers.retry(() => this.loadOnce(url, options), {
+      maxRetries: retries,
+      shouldRetry: BasePage.isRetryableLoadError,
+      onRetry: (error, attempt, delay) => {
+        TestHelpers.logStep(`Attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`, 'WARN', { url });
+      },
+    });
+
+    this.pendingPerformanceRecord = true;
   }
 
   /**
-   * Navigate to a specific URL
+   * Whether a PageLoadError may go away when the navigation is retried
+   * @param {Error} error - Error thrown by loadOnce()
+   * @returns {boolean} True for network failures, timeouts, 5xx and 429
+   */
+  static isRetryableLoadError(error) {
+    if (!(error instanceof PageLoadError)) return false;
+    return error.status === null || error.status >= 500 || error.status === 429;
+  }
+
+  /**
+   * One navigation attempt, recorded in the page's load state
    * @param {string} url - The URL to navigate to
+   * @param {Object} options - Options for page.goto()
+   * @throws {PageLoadError} When the navigation fails or returns an HTTP error status
    */
-  async goto(url) {
-    await this.page.goto(url);
+  async loadOnce(url, options) {
+    const state = await this.preparePage();
+    state.failedRequests = [];
+    const startedAt = Date.now();
+
+    let response;
+    try {
+      response = await this.page.goto(url, options);
+    } catch (error) {
+      const reason = error.message.split('\n')[0];
+      state.navigation = { url, status: null, error: reason, truncated: false, durationMs: Date.now() - startedAt };
+      throw new PageLoadError(`Could not load ${url}: ${reason}`, { url });
+    }
+
+    const status = response ? response.status() : null;
+    state.navigation = {
+      url: this.page.url(),
+      status,
+      error: null,
+      truncated: response ? await BasePage.isTruncatedHtml(response) : false,
+      durationMs: Date.now() - startedAt,
+    };
+    if (status !== null && status >= 400) {
+      throw new PageLoadError(`Could not load ${url}: HTTP ${status}`, { url, status });
+    }
   }
 
   /**
-   * Wait for page to load completely
+   * Wait for page to load completely. The first wait after goto() also
+   * records the performance metrics of that navigation.
    */
   async waitForPageLoad() {
     await this.page.waitForLoadState('networkidle');
+
+    if (this.pendingPerformanceRecord) {
+      this.pendingPerformanceRecord = false;
+      await this.recordPerformance();
+    }
+  }
+
+  /**
+   * Set up a page on first navigation: failed request tracking, performance
+   * observers and the PERF_PROFILE throttling
+   * @returns {Promise<Object>} The page's load state
+   */
+  async preparePage() {
+    if (pageStates.has(this.page)) return pageStates.get(this.page);
+
+    const state = { navigation: null, failedRequests: [] };
+    pageStates.set(this.page, state);
+    this.page.on('requestfailed', request => {
+      state.failedRequests.push({
+        url: request.url(),
+        resourceType: request.resourceType(),
+        failure: request.failure()?.errorText || null,
+      });
+    });
+
+    await this.page.addInitScript(PerformanceMonitor.installObservers);
+    if (PERFORMANCE_PROFILE) {
+      const applied = await PerformanceMonitor.applyProfile(this.page, PERFORMANCE_PROFILE);
+      TestHelpers.logStep(applied
+        ? `Applied performance profile "${PERFORMANCE_PROFILE}"`
+        : `Performance profile "${PERFORMANCE_PROFILE}" needs Chromium, running unthrottled`, 'INFO');
+    }
+    return state;
+  }
+
+  /**
+   * Get what is known about the last navigation of this page
+   * @returns {Object} {url, status, error, truncated, durationMs, failedRequests}
+   */
+  getLoadDiagnostics() {
+    const state = pageStates.get(this.page) || { navigation: null, failedRequests: [] };
+    return {
+      url: null,
+      status: null,
+      error: null,
+      truncated: false,
+      durationMs: null,
+      ...state.navigation,
+      failedRequests: [...state.failedRequests],
+    };
+  }
+
+  /**
+   * Describe problems with the last navigation in plain words
+   * @returns {Array} Problem descriptions; empty when the page loaded cleanly
+   */
+  getLoadProblems() {
+    const diagnostics = this.getLoadDiagnostics();
+    const problems = [];
+
+    if (diagnostics.error) problems.push(`Navigation failed: ${diagnostics.error}`);
+    if (diagnostics.status !== null && diagnostics.status >= 400) problems.push(`Page returned HTTP ${diagnostics.status}`);
+    if (diagnostics.truncated) problems.push('HTML response is truncated (no closing </html>)');
+    if (diagnostics.failedRequests.length > 0) {
+      const types = [...new Set(diagnostics.failedRequests.map(request => request.resourceType))];
+      problems.push(`${diagnostics.failedRequests.length} requests failed (${types.join(', ')})`);
+    }
+    return problems;
+  }
+
+  /**
+   * Check whether an HTML response ended early
+   * @param {import('@playwright/test').Response} response - Navigation response
+   * @returns {Promise<boolean>} True if an HTML body has no closing </html> tag. The tag may
+   *   be followed by anything (comments, injected scripts); only its absence counts.
+   */
+  static async isTruncatedHtml(response) {
+    if (!/text\/html/i.test(response.headers()['content-type'] || '')) return false;
+    try {
+      return !/<\/html\s*>/i.test(await response.text());
+    } catch {
+      return false; // Redirect responses have no body
+    }
+  }
+
+  /**
+   * Collect the metrics of the current page, check them against the budget
+   * for this page type and append them to the performance history
+   * @returns {Promise<Object|null>} Performance record, or null if collection failed
+   */
+  async recordPerformance() {
+    try {
+      const metrics = await PerformanceMonitor.collect(this.page);
+      const pageType = this.selectorGroup || 'default';
+      const browser = this.page.context().browser()?.browserType().name() || null;
+      const profile = browser === 'chromium' ? PERFORMANCE_PROFILE : null;
+      const budget = PerformanceMonitor.checkBudget(metrics, PerformanceMonitor.getBudget(performanceBudgets, pageType, profile));
+
+      const record = {
+        timestamp: new Date().toISOString(),
+        url: this.page.url(),
+        pageType,
+        browser,
+        profile,
+        metrics,
+        budget,
+        withinBudget: budget.every(item => item.status !== 'fail'),
+      };
+      performanceResults.push(record);
+      await TestHelpers.appendToFile(PERFORMANCE_HISTORY_PATH, `${JSON.stringify(record)}\n`);
+      return record;
+    } catch (error) {
+      console.error('Error recording performance metrics:', error);
+      return null;
+    }
   }
 
   /**
@@ -39,13 +265,15 @@ class BasePage {
   }
 
   /**
-   * Check if element exists
+   * Check if element exists. A single wait polls the page for the whole
+   * timeout, so there is nothing to retry here.
    * @param {string} selector - Element selector
+   * @param {Object} options - {timeout} in ms (default 5000)
    * @returns {Promise<boolean>} True if element exists
    */
-  async isElementPresent(selector) {
+  async isElementPresent(selector, { timeout = 5000 } = {}) {
     try {
-      await this.page.waitForSelector(selector, { timeout: 5000 });
+      await this.page.waitForSelector(selector, { timeout });
       return true;
     } catch {
       return false;
@@ -60,7 +288,272 @@ class BasePage {
       window.scrollTo(0, document.body.scrollHeight);
     });
   }
+
+  /**
+   * Run an axe-core accessibility audit on the current page and compare the
+   * violations with the baseline
+   * @param {Object} options - Audit options
+   * @param {string} options.wcagLevel - 'A', 'AA' or 'AAA' (default 'AA')
+   * @param {Array} options.disableRules - axe rule ids to skip
+   * @param {Array} options.exclude - CSS selectors of regions to leave out
+   * @param {string} options.baselinePath - Baseline JSON file
+   * @param {string} options.baselineKey - Page type in the baseline (default the selector group)
+   * @returns {Promise<Object>} {url, wcagLevel, baselineKey, violations, newViolations,
+   *   knownViolations, fixedViolations}; violations are one entry per failing element
+   */
+  async auditAccessibility({
+    wcagLevel = 'AA',
+    disableRules = [],
+    exclude = [],
+    baselinePath,
+    baselineKey = this.selectorGroup || new URL(this.page.url()).pathname,
+  } = {}) {
+    const tags = WCAG_TAGS[wcagLevel.toUpperCase()];
+    if (!tags) {
+      throw new Error(`Unknown WCAG level "${wcagLevel}", expected one of ${Object.keys(WCAG_TAGS).join(', ')}`);
+    }
+
+    let builder = new AxeBuilder({ page: this.page }).withTags(tags);
+    if (disableRules.length > 0) builder = builder.disableRules(disableRules);
+    exclude.forEach(selector => {
+      builder = builder.exclude(selector);
+    });
+    const results = await builder.analyze();
+
+    const violations = results.violations.flatMap(violation => violation.nodes.map(node => ({
+      rule: violation.id,
+      impact: node.impact || violation.impact,
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      // Shadow DOM hops become a chained selector; Playwright's CSS engine pierces open shadow roots
+      target: node.target.flat().join(' >> '),
+      html: node.html,
+      failureSummary: node.failureSummary,
+    })));
+
+    const baseline = new AccessibilityBaseline(baselinePath);
+    const comparison = await baseline.compare(baselineKey, violations);
+
+    return {
+      url: this.page.url(),
+      wcagLevel: wcagLevel.toUpperCase(),
+      baselineKey,
+      violations,
+      ...comparison,
+    };
+  }
+
+  /**
+   * Attach an accessibility audit to the Playwright report: the full result as
+   * JSON plus a screenshot of each element with a new violation
+   * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+   * @param {Object} audit - Result of auditAccessibility()
+   * @param {Object} options - Attachment options
+   * @param {string} options.name - Attachment name prefix (default 'accessibility')
+   * @param {number} options.maxScreenshots - Most element screenshots to attach (default 10)
+   */
+  async attachAccessibilityResults(testInfo, audit, { name = 'accessibility', maxScreenshots = 10 } = {}) {
+    await testInfo.attach(`${name}-violations`, {
+      body: JSON.stringify(audit, null, 2),
+      contentType: 'application/json',
+    });
+
+    for (const [index, violation] of audit.newViolations.slice(0, maxScreenshots).entries()) {
+      try {
+        const screenshot = await this.page.locator(violation.target).first().screenshot({ timeout: 5000 });
+        await testInfo.attach(`${name}-${violation.rule}-${index + 1}`, { body: screenshot, contentType: 'image/png' });
+      } catch {
+        // Hidden or zero-size elements can't be captured; the JSON still has the selector
+      }
+    }
+  }
+
+  /**
+   * Get locators for the given logical elements, for masking dynamic regions
+   * in screenshots. Elements that aren't on the page are left out.
+   * @param {Array} names - Logical element names (default this.visualMasks)
+   * @returns {Promise<Array>} Locators matching every instance of each element
+   */
+  async getMaskLocators(names = this.visualMasks || []) {
+    const masks = [];
+    for (const name of names) {
+      const resolved = await this.resolveElement(name, { timeout: 0, optional: true });
+      if (resolved) masks.push(resolved.locator);
+    }
+    return masks;
+  }
+
+  /**
+   * Get the first instance of a logical element for a component snapshot
+   * @param {string} name - Logical element name
+   * @returns {Promise<import('@playwright/test').Locator|null>} Locator, or null if not found
+   */
+  async getComponent(name) {
+    const resolved = await this.resolveElement(name);
+    return resolved ? resolved.locator.first() : null;
+  }
+
+  /**
+   * Get the ranked candidates registered for a logical element
+   * @param {string} name - Logical element name
+   * @returns {Array} Candidates, best first
+   */
+  getSelectorCandidates(name) {
+    const candidates = SelectorRegistry[this.selectorGroup]?.[name];
+    if (!candidates) {
+      throw new Error(`No selector candidates registered for "${this.selectorGroup}.${name}"`);
+    }
+    return candidates;
+  }
+
+  /**
+   * Build a Playwright locator from a registry candidate
+   * @param {Object} candidate - {role, name, level}, {text} or {css}, optionally with `within`,
+   *   another candidate the element is looked up inside
+   * @returns {import('@playwright/test').Locator} Locator
+   */
+  buildLocator(candidate) {
+    const scope = candidate.within ? this.buildLocator(candidate.within) : this.page;
+    if (candidate.role) {
+      const options = {};
+      if (candidate.name !== undefined) options.name = candidate.name;
+      if (candidate.level !== undefined) options.level = candidate.level;
+      return scope.getByRole(candidate.role, options);
+    }
+    if (candidate.text) {
+      return scope.getByText(candidate.text);
+    }
+    return scope.locator(candidate.css);
+  }
+
+  /**
+   * Resolve a logical element by trying its registered candidates in rank order
+   * @param {string} name - Logical element name
+   * @param {Object} options - Resolution options
+   * @param {number} options.timeout - Time to wait for any candidate to appear (0 checks once)
+   * @param {Function} options.accept - Optional async (locator) => boolean to reject empty matches
+   * @param {boolean} options.optional - Don't report drift when nothing matches
+   * @returns {Promise<Object|null>} {locator, candidate, rank} or null if nothing matched
+   */
+  async resolveElement(name, { timeout = 5000, accept = null, optional = false } = {}) {
+    const candidates = this.getSelectorCandidates(name);
+    const locators = candidates.map(candidate => this.buildLocator(candidate));
+
+    if (timeout > 0) {
+      try {
+        await locators.reduce((any, locator) => any.or(locator)).first().waitFor({ state: 'attached', timeout });
+      } catch {
+        // None appeared in time; the ranked check below records the miss
+      }
+    }
+
+    for (let rank = 0; rank < locators.length; rank++) {
+      if (await locators[rank].count() === 0) continue;
+      if (accept && !(await accept(locators[rank].first()))) continue;
+
+      await this.recordResolution(name, rank);
+      return { locator: locators[rank], candidate: candidates[rank], rank };
+    }
+
+    if (!optional) {
+      await this.recordResolution(name, -1);
+    }
+    return null;
+  }
+
+  /**
+   * Check if a logical element is present
+   * @param {string} name - Logical element name
+   * @param {Object} options - Options for resolveElement()
+   * @returns {Promise<boolean>} True if any candidate matched
+   */
+  async hasElement(name, options = {}) {
+    return (await this.resolveElement(name, options)) !== null;
+  }
+
+  /**
+   * Get the trimmed text of the first candidate of a logical element that has text
+   * @param {string} name - Logical element name
+   * @param {Object} options - Options for resolveElement()
+   * @returns {Promise<string|null>} Text, or null if no candidate has text
+   */
+  async getElementText(name, options = {}) {
+    const hasText = async locator => ((await locator.textContent()) || '').trim().length > 0;
+    const resolved = await this.resolveElement(name, { timeout: 0, ...options, accept: hasText });
+    return resolved ? (await resolved.locator.first().textContent()).trim() : null;
+  }
+
+  /**
+   * Record which candidate matched and append drift to the drift report
+   * @param {string} name - Logical element name
+   * @param {number} rank - Matched rank, or -1 if nothing matched
+   */
+  async recordResolution(name, rank) {
+    const candidates = this.getSelectorCandidates(name);
+    const key = `${this.selectorGroup}.${name}`;
+    const url = this.page.url();
+
+    selectorResolutions.set(key, {
+      element: key,
+      rank,
+      matched: rank >= 0 ? BasePage.describeCandidate(candidates[rank]) : null,
+      url,
+    });
+
+    if (rank === 0) return;
+
+    const driftKey = `${key}|${rank}|${url}`;
+    if (reportedDrift.has(driftKey)) return;
+    reportedDrift.add(driftKey);
+
+    const drift = {
+      timestamp: new Date().toISOString(),
+      element: key,
+      status: rank > 0 ? 'fallback' : 'missing',
+      primary: BasePage.describeCandidate(candidates[0]),
+      matched: rank > 0 ? BasePage.describeCandidate(candidates[rank]) : null,
+      rank,
+      url,
+    };
+    TestHelpers.logStep(`Selector drift on ${key}: primary "${drift.primary}" did not match (${drift.status})`, 'INFO');
+    await TestHelpers.appendToFile(DRIFT_REPORT_PATH, `${JSON.stringify(drift)}\n`);
+  }
+
+  /**
+   * Get the selector resolutions recorded in this worker
+   * @returns {Array} Array of {element, rank, matched, url} objects
+   */
+  static getSelectorResolutions() {
+    return [...selectorResolutions.values()];
+  }
+
+  /**
+   * Get the performance records collected in this worker
+   * @returns {Array} Records from recordPerformance(), oldest first
+   */
+  static getPerformanceResults() {
+    return [...performanceResults];
+  }
+
+  /**
+   * Describe a registry candidate as a readable selector string
+   * @param {Object} candidate - Registry candidate
+   * @returns {string} Description
+   */
+  static describeCandidate(candidate) {
+    const scope = candidate.within ? `${BasePage.describeCandidate(candidate.within)} >> ` : '';
+    if (candidate.role) {
+      const name = candidate.name !== undefined ? `[name=${candidate.name}]` : '';
+      const level = candidate.level !== undefined ? `[level=${candidate.level}]` : '';
+      return `${scope}role=${candidate.role}${name}${level}`;
+    }
+    if (candidate.text) {
+      return `${scope}text=${candidate.text}`;
+    }
+    return `${scope}${candidate.css}`;
+  }
 }
 
-module.exports = BasePage;
+BasePage.PageLoadError = PageLoadError;
 
+module.exports = BasePage;
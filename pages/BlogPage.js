@@ -1,4 +1,5 @@
 const BasePage = require('./BasePage');
+const ArticleDiscovery = require('../utils/ArticleDiscovery');
 
 /**
  * Blog Page Object Model
@@ -6,20 +7,17 @@ const BasePage = require('./BasePage');
  */
 class BlogPage extends BasePage {
   constructor(page) {
-    super(page);
-    
-    // Page selectors
-    this.selectors = {
-      blogTitle: 'h1:has-text("Explore the Pointr Blog")',
-      articleCards: 'section[class=blog-posts] div[class^="single_article d-flex"]',
-      articleTitles: '.single-article--title',
-      articleLinks: '.single-article--title > span > a[href*="/blog/"]',
-      featuredSection: 'section:has-text("Featured")',
-      latestSection: 'section:has-text("Latest")',
-      articleContainers: 'section[class=blog-posts]',
-      readMoreLinks: 'a:has-text("Read more")',
-      authorLinks: 'a:has-text("by ")',
+    // Element locators live in the 'blog' group of the SelectorRegistry
+    super(page, 'blog');
+
+    // Heading text identifying each listing section, keyed like the SelectorRegistry sections
+    this.sectionLabels = {
+      featuredSection: 'Featured',
+      latestSection: 'Latest',
     };
+
+    // Regions that change between runs, masked in visual snapshots
+    this.visualMasks = ['publishDates', 'articleCards', 'cookieBanner'];
   }
 
   /**
@@ -35,15 +33,29 @@ class BlogPage extends BasePage {
    * @returns {Promise<boolean>} True if blog page loaded successfully
    */
   async isBlogPageLoaded() {
+    return (await this.checkBlogPage()).loaded;
+  }
+
+  /**
+   * Check the blog page and explain what is wrong with it
+   * @returns {Promise<Object>} {loaded, problems, diagnostics}; problems lists failed
+   *   navigations, HTTP errors, truncated HTML, failed requests and missing content
+   */
+  async checkBlogPage() {
+    const problems = this.getLoadProblems();
+
     try {
       // Check for blog title or any blog-specific content
-      const titleExists = await this.isElementPresent(this.selectors.blogTitle);
+      const titleExists = await this.hasElement('blogTitle');
       const hasArticles = await this.hasArticles();
-      
-      return titleExists && hasArticles;
+
+      if (!titleExists) problems.push('Blog title not found');
+      if (!hasArticles) problems.push('No articles found');
+      return { loaded: titleExists && hasArticles, problems, diagnostics: this.getLoadDiagnostics() };
     } catch (error) {
       console.error('Error checking if blog page loaded:', error);
-      return false;
+      problems.push(`Blog page check failed: ${error.message}`);
+      return { loaded: false, problems, diagnostics: this.getLoadDiagnostics() };
     }
   }
 
@@ -52,17 +64,12 @@ class BlogPage extends BasePage {
    * @returns {Promise<boolean>} True if articles are found
    */
   async hasArticles() {
-    // Try multiple selectors to find articles
-    const selectors = [
-      this.selectors.articleCards,
-      this.selectors.articleLinks,
-      this.selectors.articleContainers,
-      this.selectors.readMoreLinks
-    ];
-
-    for (const selector of selectors) {
-      const elements = await this.page.$$(selector);
-      if (elements.length > 0) {
+    // Any article-related element is enough; each resolves through its own candidates.
+    // These are probes, so a miss is not drift; a fallback match still is.
+    const elements = ['articleCards', 'articleLinks', 'articleContainers', 'readMoreLinks'];
+
+    for (const element of elements) {
+      if (await this.hasElement(element, { timeout: 0, optional: true })) {
         return true;
       }
     }
@@ -78,23 +85,152 @@ class BlogPage extends BasePage {
     await this.waitForPageLoad();
     
     // Get all links that point to blog articles
-    const links = await this.page.$$eval('.single-article--title > span > a[href*="/blog/"]', elements =>
-      elements
-        .map(el => el.href)
-        .filter((href, index, array) => array.indexOf(href) === index) // Remove duplicates
-    );
+    const links = (await this.collectArticleOccurrences())
+      .map(occurrence => occurrence.url)
+      .filter((href, index, array) => array.indexOf(href) === index); // Remove duplicates
 
     return links;
   }
 
   /**
-   * Get the latest N article links
+   * Read article links currently in the DOM, in listing order, with their section
+   * @returns {Promise<Array>} Array of {url, section} objects, duplicates included
+   */
+  async collectArticleOccurrences() {
+    const resolved = await this.resolveElement('articleLinks', { timeout: 0 });
+    if (!resolved) return [];
+
+    return resolved.locator.evaluateAll((elements, sectionLabels) =>
+      elements.map(el => {
+        // The innermost enclosing section whose own heading starts with a label decides the
+        // section. Only that heading counts: card titles and excerpts may use the same words.
+        let section = null;
+        for (let node = el.closest('section'); node && !section; node = node.parentElement?.closest('section')) {
+          const heading = [...node.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')]
+            .find(candidate => candidate.closest('section') === node && !elements.some(link => candidate.contains(link)));
+          const text = (heading?.textContent || '').trim().toLowerCase();
+          const matches = Object.keys(sectionLabels).filter(key => text.startsWith(sectionLabels[key].toLowerCase()));
+          if (matches.length === 1) {
+            section = matches[0];
+          }
+        }
+        return { url: el.href, section };
+      }),
+      this.sectionLabels
+    );
+  }
+
+  /**
+   * Crawl the listing until enough unique articles are found or the list ends.
+   * Follows "load more" controls, pagination links and infinite scroll.
+   * @param {Object} options - Crawl options
+   * @param {number} options.count - Number of unique articles wanted (default: all)
+   * @param {string} options.section - Only keep links from this section ('featuredSection' or 'latestSection')
+   * @param {number} options.maxRounds - Maximum number of load/paginate/scroll attempts
+   * @returns {Promise<Array>} Array of {url, section, position} objects in listing order
+   */
+  async crawlArticles({ count = Infinity, section = null, maxRounds = 20 } = {}) {
+    await this.waitForPageLoad();
+
+    const articles = new Map();
+    const visitedPages = new Set([this.page.url()]);
+
+    for (let round = 0; round <= maxRounds; round++) {
+      const occurrences = await this.collectArticleOccurrences();
+
+      for (const occurrence of occurrences) {
+        if (section && occurrence.section !== section) continue;
+        if (!articles.has(occurrence.url)) {
+          articles.set(occurrence.url, { ...occurrence, position: articles.size + 1 });
+        }
+      }
+
+      if (articles.size >= count || round === maxRounds) break;
+
+      const advanced = await this.loadMoreArticles(visitedPages);
+      if (!advanced) break;
+    }
+
+    return [...articles.values()].slice(0, count);
+  }
+
+  /**
+   * Reveal more articles via a "load more" control, the next page or scrolling
+   * @param {Set} visitedPages - Listing page URLs already crawled
+   * @returns {Promise<boolean>} True if new listing content was reached
+   */
+  async loadMoreArticles(visitedPages = new Set()) {
+    const countLinks = async () => {
+      const resolved = await this.resolveElement('articleLinks', { timeout: 0 });
+      return resolved ? resolved.locator.count() : 0;
+    };
+    const before = await countLinks();
+
+    const loadMoreControl = await this.resolveElement('loadMoreButton', { timeout: 0, optional: true });
+    const loadMore = loadMoreControl?.locator.first();
+    if (loadMore && await loadMore.isVisible().catch(() => false)) {
+      await loadMore.click();
+      await this.waitForPageLoad();
+      if (await countLinks() > before) return true;
+    }
+
+    const nextPageLink = await this.resolveElement('nextPageLink', { timeout: 0, optional: true });
+    if (nextPageLink) {
+      const href = await nextPageLink.locator.first().getAttribute('href');
+      const nextUrl = href ? new URL(href, this.page.url()).href : null;
+      if (nextUrl && !visitedPages.has(nextUrl)) {
+        visitedPages.add(nextUrl);
+        await this.goto(nextUrl);
+        await this.waitForPageLoad();
+        return true;
+      }
+    }
+
+    // Infinite scroll: give lazily appended cards a moment to render
+    await this.scrollToBottom();
+    await this.page.waitForTimeout(1000);
+    await this.waitForPageLoad();
+    return await countLinks() > before;
+  }
+
+  /**
+   * Get the latest N article links, taken from the Latest section when the listing has one
    * @param {number} count - Number of articles to get
+   * @param {Object} options - {by: 'listing' (default) or 'date' for the newest by publish date in the sitemap and feed}
    * @returns {Promise<Array>} Array of latest article URLs
    */
-  async getLatestArticleLinks(count = 3) {
-    const allLinks = await this.getArticleLinks();
-    return allLinks.slice(0, count);
+  async getLatestArticleLinks(count = 3, { by = 'listing' } = {}) {
+    if (by === 'date') {
+      const { articles } = await this.discoverArticles();
+      return ArticleDiscovery.latest(articles, count).map(article => article.url);
+    }
+
+    await this.waitForPageLoad();
+    const occurrences = await this.collectArticleOccurrences();
+    const hasLatestSection = occurrences.some(occurrence => occurrence.section === 'latestSection');
+
+    const articles = await this.crawlArticles({ count, section: hasLatestSection ? 'latestSection' : null });
+    return articles.map(article => article.url);
+  }
+
+  /**
+   * Discover articles from the site's sitemaps and blog feed instead of the listing markup.
+   * Article URLs are moved onto the origin of the current page, so record/replay runs stay offline.
+   * @param {Object} options - ArticleDiscovery.discover() options: {sitemaps, feeds}
+   * @returns {Promise<Object>} {articles: [{url, title, lastmod, published, sources}], sitemaps, feeds, errors}
+   */
+  async discoverArticles(options = {}) {
+    const { origin } = new URL(this.page.url());
+    if (origin === 'null') {
+      throw new Error('Navigate to the blog before discovering articles');
+    }
+
+    const discovery = await new ArticleDiscovery(this.page.request, { baseURL: origin }).discover(options);
+    discovery.articles.forEach(article => {
+      const { pathname, search } = new URL(article.url);
+      article.url = new URL(pathname + search, origin).href;
+    });
+    return discovery;
   }
 
   /**
@@ -0,0 +1,138 @@
+/**
+ * Selector Registry
+ * Ranked locator candidates for every logical element, grouped by page.
+ * BasePage.resolveElement() tries them in order, and a match below rank 0 is
+ * reported as selector drift.
+ *
+ * Candidates are ranked by robustness: role/text locators first, then data
+ * and microdata attributes, then CSS, exact before loose. Where the site has
+ * no roles or attributes yet, the CSS candidate matches and the drift report
+ * says so. Elements without a role of their own (articleBody, articleHeader,
+ * authorBlock) start at attributes or structural CSS; a bare `article` role
+ * would also match listing cards and related posts.
+ *
+ * Candidate shapes:
+ *   { role, name, level } - page.getByRole()
+ *   { text }              - page.getByText()
+ *   { css }               - page.locator(), any Playwright selector
+ * Any candidate can add `within: <candidate>` to look inside another element.
+ */
+const ARTICLE_CARD = { role: 'article' };
+
+module.exports = {
+  blog: {
+    blogTitle: [
+      { role: 'heading', name: /Explore the Pointr Blog/i },
+      { text: /Explore the Pointr Blog/i },
+      { css: 'h1:has-text("Explore the Pointr Blog")' },
+    ],
+    articleCards: [
+      ARTICLE_CARD,
+      { css: '[itemtype*="BlogPosting"], [data-post-id]' },
+      { css: 'section[class=blog-posts] div[class^="single_article d-flex"]' },
+      { css: 'section[class*="blog-posts"] [class*="single_article"]' },
+    ],
+    articleTitles: [
+      { role: 'heading', within: ARTICLE_CARD },
+      { css: '[itemprop="headline"]' },
+      { css: '.single-article--title' },
+      { css: '[class*="article--title"], [class*="article-title"]' },
+    ],
+    articleLinks: [
+      { role: 'link', within: { role: 'heading', within: ARTICLE_CARD } },
+      { css: '[itemtype*="BlogPosting"] a[href*="/blog/"]' },
+      { css: '.single-article--title > span > a[href*="/blog/"]' },
+      { css: '[class*="article--title"] a[href*="/blog/"]' },
+      { css: 'section[class*="blog-posts"] a[href*="/blog/"]:not([href$="/blog"]):not([href$="/blog/"])' },
+    ],
+    articleContainers: [
+      { role: 'feed' },
+      { role: 'region', name: /blog posts|articles/i },
+      { css: '[data-section="blog-posts"]' },
+      { css: 'section[class=blog-posts]' },
+      { css: 'section[class*="blog-posts"]' },
+    ],
+    readMoreLinks: [
+      { role: 'link', name: /read more/i },
+      { css: 'a:has-text("Read more")' },
+    ],
+    authorLinks: [
+      { role: 'link', name: /^by\s/i },
+      { css: '[rel="author"]' },
+      { css: 'a:has-text("by ")' },
+    ],
+    featuredSection: [
+      { role: 'region', name: /featured/i },
+      { css: '[data-section*="featured"]' },
+      { css: 'section:has(:is(h1, h2, h3):text-matches("^Featured", "i"))' },
+    ],
+    latestSection: [
+      { role: 'region', name: /latest/i },
+      { css: '[data-section*="latest"]' },
+      { css: 'section:has(:is(h1, h2, h3):text-matches("^Latest", "i"))' },
+    ],
+    loadMoreButton: [
+      { role: 'button', name: /load more/i },
+      { role: 'link', name: /load more/i },
+      { css: '[data-action="load-more"]' },
+    ],
+    nextPageLink: [
+      { role: 'link', name: /next page/i },
+      { css: 'a[rel="next"]' },
+      { css: '.pagination a:has-text("Next")' },
+    ],
+    publishDates: [
+      { role: 'time' },
+      { css: 'time[datetime]' },
+      { css: 'section[class=blog-posts] time, section[class=blog-posts] [class*="date"]' },
+      { css: '[class*="date"]' },
+    ],
+    cookieBanner: [
+      { role: 'dialog', name: /cookie/i },
+      { css: '[id*="cookie"], [class*="cookie"]' },
+    ],
+  },
+
+  article: {
+    articleTitle: [
+      { role: 'heading', level: 1 },
+      { css: '[itemprop="headline"]' },
+      { css: 'section[class=blog-post-main] h1' },
+      { css: 'section[class*="blog-post-main"] h1, article h1' },
+    ],
+    articleBody: [
+      { css: '[itemprop="articleBody"]' },
+      { css: 'section[class=blog-post-main]' },
+      { css: 'section[class*="blog-post-main"]' },
+      // Only the article holding the page title; anything looser leaves the density fallback no chance
+      { css: 'main article:has(h1)' },
+    ],
+    author: [
+      { role: 'link', name: /^by\s/i },
+      { css: '[rel="author"], [itemprop="author"]' },
+      { css: '.author' },
+      { css: '[class*="author"]' },
+      { css: 'a:has-text("by ")' },
+    ],
+    publishDate: [
+      { role: 'time' },
+      { css: 'time[datetime], [itemprop="datePublished"]' },
+      { css: '.date' },
+      { css: '[class*="date"]' },
+    ],
+    articleHeader: [
+      { css: 'section[class=blog-post-main] h1 >> xpath=..' },
+      { css: 'header:has(h1)' },
+      { css: 'article h1 >> xpath=..' },
+    ],
+    authorBlock: [
+      { css: '[itemprop="author"]' },
+      { css: '.author >> xpath=..' },
+      { css: '[class*="author"]' },
+    ],
+    cookieBanner: [
+      { role: 'dialog', name: /cookie/i },
+      { css: '[id*="cookie"], [class*="cookie"]' },
+    ],
+  },
+};
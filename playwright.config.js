@@ -1,20 +1,45 @@
 // @ts-check
 const { defineConfig, devices } = require('@playwright/test');
 
+const LIVE_BASE_URL = 'https://www.pointr.tech';
+/* Where pages come from: 'live' site, 'record' snapshots through the fixture server, or 'replay' them offline */
+const BLOG_SOURCE = process.env.BLOG_SOURCE || 'live';
+const FIXTURE_PORT = Number(process.env.FIXTURE_PORT) || 4173;
+const useFixtureServer = BLOG_SOURCE !== 'live';
+/* Workers inherit this, so every worker's article results land in one run directory */
+process.env.ARTICLE_RUN_ID = process.env.ARTICLE_RUN_ID || new Date().toISOString().replace(/[:.]/g, '-');
+
 /**
  * @see https://playwright.dev/docs/test-configuration
  */
 module.exports = defineConfig({
     timeout:60000,
   testDir: './tests',
+  /* Merges the per-article results of all workers into test-results/articles/<run>/<project>/merged.json */
+  globalTeardown: './tests/global-teardown.js',
+  /* Playwright clears this folder on every run, so keep it apart from test-results/history */
+  outputDir: './test-results/artifacts',
+  /* Visual baselines, one set per browser project; refresh with `npm run test:visual:update` */
+  snapshotPathTemplate: './baselines/visual/{projectName}/{arg}{ext}',
+  expect: {
+    toHaveScreenshot: {
+      /* Share of pixels allowed to differ, e.g. VISUAL_MAX_DIFF_RATIO=0.02; 0 allows none */
+      maxDiffPixelRatio: process.env.VISUAL_MAX_DIFF_RATIO !== undefined ? Number(process.env.VISUAL_MAX_DIFF_RATIO) : 0.01,
+      /* Per-pixel color distance (0..1) below which pixels count as equal */
+      threshold: process.env.VISUAL_THRESHOLD !== undefined ? Number(process.env.VISUAL_THRESHOLD) : 0.2,
+      animations: 'disabled',
+      caret: 'hide',
+    },
+  },
   /* Run tests in files in parallel */
   fullyParallel: false,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
   forbidOnly: !!process.env.CI,
   /* Retry on CI only */
   retries: process.env.CI ? 2 : 0,
-  /* Opt out of parallel tests on CI. */
-  workers: process.env.CI ? 1 : undefined,
+  /* Two workers on CI, one per runner core: spec files run side by side to fit the 3-minute CI step,
+     and article results are stored per test, so workers never share a file */
+  workers: process.env.CI ? 2 : undefined,
   /* Reporter to use. See https://playwright.dev/docs/test-reporters */
   reporter: [
     ['html'],
@@ -22,7 +47,7 @@ module.exports = defineConfig({
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
     /* Base URL to use in actions like `await page.goto('/')`. */
-    baseURL: 'https://www.pointr.tech',
+    baseURL: useFixtureServer ? `http://localhost:${FIXTURE_PORT}` : LIVE_BASE_URL,
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
     /* Take screenshot on failure */
@@ -43,5 +68,18 @@ module.exports = defineConfig({
       use: { ...devices['Desktop Firefox'] },
     }
   ],
+
+  /* Serve recorded fixtures instead of the live site unless BLOG_SOURCE=live */
+  webServer: useFixtureServer ? {
+    command: 'node utils/FixtureServer.js',
+    url: `http://localhost:${FIXTURE_PORT}/__fixtures/health`,
+    reuseExistingServer: !process.env.CI,
+    env: {
+      BLOG_SOURCE,
+      FIXTURE_PORT: String(FIXTURE_PORT),
+      FIXTURE_ORIGIN: LIVE_BASE_URL,
+      FIXTURES_DIR: process.env.FIXTURES_DIR || 'fixtures/pointr',
+    },
+  } : undefined,
 });
 
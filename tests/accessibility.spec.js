@@ -0,0 +1,79 @@
+const { test, expect } = require('./fixtures');
+const TestHelpers = require('../utils/TestHelpers');
+const AccessibilityBaseline = require('../utils/AccessibilityBaseline');
+
+const listFromEnv = name => (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// A11Y_WCAG_LEVEL=A|AA|AAA, A11Y_DISABLE_RULES=rule-id,... and A11Y_EXCLUDE=selector,...
+const auditOptions = {
+  wcagLevel: process.env.A11Y_WCAG_LEVEL || 'AA',
+  disableRules: listFromEnv('A11Y_DISABLE_RULES'),
+  exclude: listFromEnv('A11Y_EXCLUDE'),
+};
+// A11Y_UPDATE_BASELINE=1 records the current violations instead of failing on them
+const updateBaseline = !!process.env.A11Y_UPDATE_BASELINE;
+
+/**
+ * Log, attach and check one audit against the baseline
+ * @param {Object} pageObject - BlogPage or ArticlePage
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {string} name - Attachment name prefix
+ */
+async function checkAccessibility(pageObject, testInfo, name) {
+  const audit = await pageObject.auditAccessibility(auditOptions);
+  TestHelpers.logStep(
+    `${audit.url}: ${audit.violations.length} WCAG ${audit.wcagLevel} violations, ` +
+    `${audit.newViolations.length} new, ${audit.knownViolations.length} in baseline`,
+    audit.newViolations.length > 0 ? 'FAIL' : 'PASS'
+  );
+  audit.newViolations.forEach(violation => {
+    TestHelpers.logStep(`[${violation.impact}] ${violation.rule}: ${violation.help} (${violation.target})`, 'FAIL');
+  });
+  await pageObject.attachAccessibilityResults(testInfo, audit, { name });
+
+  if (updateBaseline) {
+    const added = await new AccessibilityBaseline().update(audit.baselineKey, audit.violations);
+    TestHelpers.logStep(`Added ${added} violations to the "${audit.baselineKey}" baseline`, 'INFO');
+    return;
+  }
+
+  expect.soft(
+    audit.newViolations.map(violation => `${violation.rule}: ${violation.target}`),
+    `New accessibility violations on ${audit.url}`
+  ).toEqual([]);
+}
+
+test.describe('Pointr Accessibility Tests', () => {
+  // Against an empty baseline every violation already on the site counts as new, so the
+  // audits wait for `npm run test:a11y:baseline`; A11Y=1 (npm run test:a11y) runs them anyway
+  test.beforeAll(async () => {
+    const { updatedAt } = await new AccessibilityBaseline().load();
+    test.skip(!updatedAt && !updateBaseline && !process.env.A11Y, 'No accessibility baseline recorded yet; run npm run test:a11y:baseline');
+  });
+
+  test('Audit blog page accessibility', async ({ blogPage }, testInfo) => {
+    TestHelpers.logStep('Starting blog page accessibility audit', 'INFO');
+
+    await blogPage.navigateToBlog();
+    expect(await blogPage.isBlogPageLoaded()).toBe(true);
+
+    await checkAccessibility(blogPage, testInfo, 'blog-accessibility');
+  });
+
+  test('Audit accessibility of latest 3 articles', async ({ blogPage, articlePage }, testInfo) => {
+    TestHelpers.logStep('Starting article accessibility audit', 'INFO');
+
+    await blogPage.navigateToBlog();
+    const articleLinks = await blogPage.getLatestArticleLinks(3);
+    expect(articleLinks.length).toBeGreaterThanOrEqual(3);
+
+    for (let i = 0; i < Math.min(articleLinks.length, 3); i++) {
+      TestHelpers.logStep(`Auditing article ${i + 1}: ${articleLinks[i]}`, 'INFO');
+      await articlePage.navigateToArticle(articleLinks[i]);
+      expect(await articlePage.isArticlePageLoaded()).toBe(true);
+
+      await checkAccessibility(articlePage, testInfo, `article-${i + 1}-accessibility`);
+    }
+  });
+
+});
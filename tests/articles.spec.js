@@ -0,0 +1,34 @@
+const { test, expect } = require('./fixtures');
+const TestHelpers = require('../utils/TestHelpers');
+
+// ARTICLE_SHARDS=4 splits the latest ARTICLE_COUNT articles into 4 tests that run on separate workers
+const ARTICLE_SHARDS = Number(process.env.ARTICLE_SHARDS) || 0;
+const ARTICLE_COUNT = Number(process.env.ARTICLE_COUNT) || 30;
+
+test.skip(!ARTICLE_SHARDS, 'Sharded extraction runs with ARTICLE_SHARDS=<n>');
+test.describe.configure({ mode: 'parallel' });
+
+test.describe('Pointr Sharded Article Extraction', () => {
+  const shardCount = Math.max(ARTICLE_SHARDS, 1);
+
+  for (let shard = 0; shard < shardCount; shard++) {
+    test(`Extract article shard ${shard + 1} of ${shardCount}`, async ({ blogPage, extractArticles }, testInfo) => {
+      test.setTimeout(Math.max(testInfo.timeout, 30000 + Math.ceil(ARTICLE_COUNT / shardCount) * 10000));
+
+      // Every shard reads the listing itself; replay runs keep it identical across workers
+      await blogPage.navigateToBlog();
+      const articleLinks = await blogPage.getLatestArticleLinks(ARTICLE_COUNT);
+      expect(articleLinks.length).toBeGreaterThan(0);
+
+      // Contiguous slices keep each article's index equal to its position in the listing
+      const size = Math.ceil(articleLinks.length / shardCount);
+      const shardLinks = articleLinks.slice(shard * size, (shard + 1) * size);
+      TestHelpers.logStep(`Shard ${shard + 1}: ${shardLinks.length} of ${articleLinks.length} articles`, 'INFO');
+
+      // Results go to the aggregator and are merged in the global teardown
+      const results = await extractArticles(shardLinks, { indexOffset: shard * size });
+      const failed = results.filter(result => result.error);
+      expect.soft(failed.map(result => `${result.url}: ${result.error}`), `Failed articles in shard ${shard + 1}`).toEqual([]);
+    });
+  }
+});
@@ -1,23 +1,16 @@
-const { test, expect } = require('@playwright/test');
-const BlogPage = require('../pages/BlogPage');
-const ArticlePage = require('../pages/ArticlePage');
-const WordAnalyzer = require('../utils/WordAnalyzer');
+const { test, expect } = require('./fixtures');
 const TestHelpers = require('../utils/TestHelpers');
-const path = require('path');
+const ReportWriter = require('../utils/ReportWriter');
+const HistoryStore = require('../utils/HistoryStore');
 
-test.describe('Pointr Blog Tests', () => {
-  let blogPage;
-  let articlePage;
-  let wordAnalyzer;
-
-  test.beforeEach(async ({ page }) => {
-    blogPage = new BlogPage(page);
-    articlePage = new ArticlePage(page);
-    wordAnalyzer = new WordAnalyzer();
+// Number of latest articles to analyze, e.g. ARTICLE_COUNT=30 with ARTICLE_CONCURRENCY=5
+const ARTICLE_COUNT = Number(process.env.ARTICLE_COUNT) || 3;
+// LATEST_BY=date picks the newest articles by publish date from the sitemap and feed instead of the listing
+const LATEST_BY = process.env.LATEST_BY || 'listing';
 
-  });
+test.describe('Pointr Blog Tests', () => {
 
-  test('Verify blog page loads and articles are present', async ({ page, browserName }) => {
+  test('Verify blog page loads and articles are present', async ({ blogPage, browserName }) => {
     TestHelpers.logStep('Starting blog page validation test', 'INFO');
     
     try {
@@ -51,8 +44,10 @@ test.describe('Pointr Blog Tests', () => {
     }
   });
 
-  test('Extract and analyze word frequency from latest 3 articles', async ({ page, browserName }) => {
+  test(`Extract and analyze word frequency from latest ${ARTICLE_COUNT} articles`, async ({ blogPage, wordAnalyzer, extractArticles, browserName }, testInfo) => {
     TestHelpers.logStep('Starting word frequency analysis test', 'INFO');
+    // Leave room for larger runs; articles are extracted several at a time
+    test.setTimeout(Math.max(testInfo.timeout, 30000 + ARTICLE_COUNT * 10000));
     
     try {
       // Navigate to blog page
@@ -61,65 +56,15 @@ test.describe('Pointr Blog Tests', () => {
       
       // Get latest article links
       TestHelpers.logStep('Getting latest article links', 'INFO');
-      const articleLinks = await blogPage.getLatestArticleLinks(3);
-      expect(articleLinks.length).toBeGreaterThanOrEqual(3);
+      const articleLinks = await blogPage.getLatestArticleLinks(ARTICLE_COUNT, { by: LATEST_BY });
+      expect(articleLinks.length).toBeGreaterThanOrEqual(ARTICLE_COUNT);
       TestHelpers.logStep(`Found ${articleLinks.length} article links`, 'INFO');
       
-      const articles = [];
-      
-      // Process each article
-      for (let i = 0; i < Math.min(articleLinks.length, 3); i++) {
-        const articleUrl = articleLinks[i];
-        TestHelpers.logStep(`Processing article ${i + 1}: ${articleUrl}`, 'INFO');
-        
-        try {
-          // Navigate to article
-          await articlePage.navigateToArticle(articleUrl);
-          
-          // Verify article loaded
-          const isLoaded = await articlePage.isArticlePageLoaded();
-          expect(isLoaded).toBe(true);
-          
-          // Scroll through article to ensure all content is loaded
-          await articlePage.scrollThroughArticle();
-          
-          // Extract article data
-          const title = await articlePage.getArticleTitle();
-          const text = await articlePage.getArticleText();
-          const author = await articlePage.getAuthor();
-          const date = await articlePage.getPublishDate();
-          
-          TestHelpers.logStep(`Extracted article: "${title}" by ${author}`, 'INFO');
-          TestHelpers.logStep(`Article text length: ${text.length} characters`, 'INFO');
-          
-          // Verify we have substantial content
-          expect(text.length).toBeGreaterThan(100);
-          
-          articles.push({
-            title,
-            url: articleUrl,
-            text,
-            author,
-            date,
-            index: i + 1
-          });
-          
-          // Take screenshot of article
-          await articlePage.takeScreenshot(`article-${i + 1}-${browserName}`);
-          
-        } catch (error) {
-          TestHelpers.logStep(`Error processing article ${i + 1}: ${error.message}`, 'FAIL');
-          // Continue with other articles even if one fails
-          articles.push({
-            title: `Article ${i + 1} (Error)`,
-            url: articleUrl,
-            text: '',
-            author: 'Unknown',
-            date: 'Unknown',
-            index: i + 1,
-            error: error.message
-          });
-        }
+      // Extract the articles on several pages at once; failed articles come back with an error
+      const articles = await extractArticles(articleLinks.slice(0, ARTICLE_COUNT));
+      const cached = articles.filter(article => article.cache === 'hit').length;
+      if (articles.some(article => article.cache)) {
+        TestHelpers.logStep(`Extraction cache: ${cached} of ${articles.length} articles unchanged`, 'INFO');
       }
       
       // Analyze word frequency across all articles.
@@ -135,22 +80,63 @@ test.describe('Pointr Blog Tests', () => {
       analysis.topWords.forEach((item, index) => {
         TestHelpers.logStep(`${index + 1}. "${item.word}": ${item.count} occurrences`, 'INFO');
       });
+      analysis.topKeywords.forEach((item, index) => {
+        TestHelpers.logStep(`Keyword ${index + 1}. "${item.word}": score ${item.score}`, 'INFO');
+      });
+      analysis.phrases.topPhrases.forEach((item, index) => {
+        TestHelpers.logStep(`Phrase ${index + 1}. "${item.phrase}": ${item.count} occurrences`, 'INFO');
+      });
       
-      // Generate results file content
-      const resultsContent = wordAnalyzer.generateFileContent(analysis.topWords, analysis);
-      
-      // Save results to file
+      // Generate reports in every requested format (REPORT_FORMATS=text,json,csv,markdown,html)
+      const report = ReportWriter.buildReport(analysis, {
+        browser: browserName,
+        baseURL: testInfo.project.use.baseURL,
+      });
+      const formats = process.env.REPORT_FORMATS
+        ? process.env.REPORT_FORMATS.split(',').map(format => format.trim())
+        : ReportWriter.getFormats();
+
+      // Save results to files
       const timestamp = TestHelpers.getTimestamp();
-      const resultsFilename = `word-frequency-results-${browserName}-${timestamp}.txt`;
-      const resultsPath = path.join('./test-results', resultsFilename);
-      
-      await TestHelpers.saveToFile(resultsPath, resultsContent);
-      TestHelpers.logStep(`Results saved to: ${resultsPath}`, 'PASS');
+      const writtenReports = await ReportWriter.writeReports(report, {
+        formats,
+        outputDir: './test-results',
+        baseName: `word-frequency-results-${browserName}-${timestamp}`,
+      });
+
+      for (const written of writtenReports) {
+        TestHelpers.logStep(`Results saved to: ${written.path}`, 'PASS');
 
-      // Verify the results file was created
-      const fileExists = await TestHelpers.fileExists(resultsPath);
-      expect(fileExists).toBe(true);
+        // Verify the results file was created
+        const fileExists = await TestHelpers.fileExists(written.path);
+        expect(fileExists).toBe(true);
+
+        await testInfo.attach(`word-frequency-${written.format}`, { path: written.path, contentType: written.contentType });
+      }
       
+      // Record the run and compare it with the previous one for this browser
+      const history = new HistoryStore();
+      const historyEntry = await history.append(report);
+      const trend = await history.compareWithPrevious(historyEntry);
+
+      if (trend) {
+        TestHelpers.logStep(`Top terms shift since ${trend.previousRun}: ${trend.topTerms.shift}`, trend.topTerms.significant ? 'FAIL' : 'INFO');
+        TestHelpers.logStep(`Emerging terms: ${trend.terms.emerging.slice(0, 5).map(item => item.term).join(', ') || 'none'}`, 'INFO');
+        TestHelpers.logStep(`Fading terms: ${trend.terms.fading.slice(0, 5).map(item => item.term).join(', ') || 'none'}`, 'INFO');
+        TestHelpers.logStep(`New articles: ${trend.articles.added.length}, removed articles: ${trend.articles.removed.length}`, 'INFO');
+        await testInfo.attach('word-frequency-trend', { body: JSON.stringify(trend, null, 2), contentType: 'application/json' });
+
+        if (trend.topTerms.significant) {
+          testInfo.annotations.push({ type: 'trend', description: `Top terms shifted significantly since ${trend.previousRun}` });
+        }
+        // Opt-in gate, e.g. MAX_TOP_TERM_SHIFT=0.6
+        if (process.env.MAX_TOP_TERM_SHIFT) {
+          expect(trend.topTerms.shift).toBeLessThanOrEqual(Number(process.env.MAX_TOP_TERM_SHIFT));
+        }
+      } else {
+        TestHelpers.logStep('No previous run in history to compare with', 'INFO');
+      }
+
       TestHelpers.logStep('Word frequency analysis test completed successfully', 'PASS');
       
     } catch (error) {
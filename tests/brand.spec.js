@@ -0,0 +1,59 @@
+const path = require('path');
+const { test, expect } = require('./fixtures');
+const TestHelpers = require('../utils/TestHelpers');
+const BrandRules = require('../utils/BrandRules');
+
+// BRAND_RULES=path/to/rules.js replaces config/brand-rules.js
+const config = process.env.BRAND_RULES
+  ? require(path.resolve(process.env.BRAND_RULES))
+  : require('../config/brand-rules');
+// Lowest severity that fails the test, e.g. BRAND_FAIL_ON=warning
+const brandRules = new BrandRules({ ...config, failOn: process.env.BRAND_FAIL_ON || config.failOn });
+const ARTICLE_COUNT = Number(process.env.ARTICLE_COUNT) || 3;
+
+const STEP_STATUS = { error: 'FAIL', warning: 'WARN', info: 'INFO' };
+
+test.describe('Pointr Brand Term Compliance Tests', () => {
+
+  test(`Latest ${ARTICLE_COUNT} articles follow the brand glossary`, async ({ blogPage, extractArticles, browserName }, testInfo) => {
+    test.setTimeout(Math.max(testInfo.timeout, 30000 + ARTICLE_COUNT * 10000));
+
+    await blogPage.navigateToBlog();
+    const articleLinks = await blogPage.getLatestArticleLinks(ARTICLE_COUNT);
+    const articles = (await extractArticles(articleLinks)).filter(article => !article.error);
+    expect(articles.length).toBeGreaterThan(0);
+
+    const results = articles.map(article => ({ index: article.index, ...brandRules.check(article) }));
+
+    results.forEach(({ index, summary, violations, passed }) => {
+      violations.forEach(violation => {
+        TestHelpers.logStep(
+          `Article ${index} [${violation.rule}] ${violation.message}${violation.context ? `: "${violation.context}"` : ''}`,
+          STEP_STATUS[violation.severity],
+          { articleIndex: index }
+        );
+      });
+      TestHelpers.logStep(
+        `Article ${index}: ${summary.error} errors, ${summary.warning} warnings, ${summary.info} notes`,
+        passed ? 'PASS' : 'FAIL',
+        { articleIndex: index }
+      );
+    });
+
+    const reportPath = `./test-results/brand/brand-${browserName}.json`;
+    await TestHelpers.saveToFile(reportPath, JSON.stringify({
+      checkedAt: new Date().toISOString(),
+      failOn: brandRules.failOn,
+      rules: brandRules.rules.map(({ id, type, severity }) => ({ id, type, severity })),
+      articles: results,
+    }, null, 2));
+    await testInfo.attach('brand-report', { path: reportPath, contentType: 'application/json' });
+
+    // Soft assertions so every article is checked and reported
+    results.forEach(({ url, violations }) => {
+      const failing = violations.filter(violation => BrandRules.meetsSeverity(violation.severity, brandRules.failOn));
+      expect.soft(failing.map(violation => `[${violation.rule}] ${violation.message}`), `Brand rule violations in ${url}`).toEqual([]);
+    });
+  });
+
+});
@@ -0,0 +1,75 @@
+const { test, expect } = require('./fixtures');
+const TestHelpers = require('../utils/TestHelpers');
+
+// Links to other sites can only be checked against the live web
+const checkExternalLinks = (process.env.BLOG_SOURCE || 'live') === 'live';
+const LINK_TIMEOUT = 10000;
+const LINK_CONCURRENCY = 4;
+
+test.describe('Pointr Article Content Validation', () => {
+  test('Validate links, images, headings and text of latest 3 articles', async ({ blogPage, articlePage, browserName }, testInfo) => {
+    // Loading and scrolling the articles; link checks add their own time below
+    test.setTimeout(Math.max(testInfo.timeout, 30000 + 3 * 30000));
+    TestHelpers.logStep('Starting article content validation test', 'INFO');
+
+    try {
+      // Navigate to blog page
+      TestHelpers.logStep('Navigating to blog page', 'INFO');
+      await blogPage.navigateToBlog();
+
+      const articleLinks = await blogPage.getLatestArticleLinks(3);
+      expect(articleLinks.length).toBeGreaterThanOrEqual(3);
+
+      for (let i = 0; i < Math.min(articleLinks.length, 3); i++) {
+        const articleUrl = articleLinks[i];
+        TestHelpers.logStep(`Validating article ${i + 1}: ${articleUrl}`, 'INFO');
+
+        await articlePage.navigateToArticle(articleUrl);
+        expect(await articlePage.isArticlePageLoaded()).toBe(true);
+
+        // Scroll first so lazy-loaded images are in place
+        await articlePage.scrollThroughArticle();
+
+        // Worst case for each round of links: HEAD and the GET fallback both time out
+        const linkCount = (await articlePage.getContentLinks()).length;
+        test.setTimeout(testInfo.timeout + Math.ceil(linkCount / LINK_CONCURRENCY) * 2 * LINK_TIMEOUT);
+
+        const report = await articlePage.validateContent({
+          external: checkExternalLinks,
+          timeout: LINK_TIMEOUT,
+          concurrency: LINK_CONCURRENCY,
+        });
+
+        // Save the per-article report
+        const slug = new URL(articleUrl).pathname.split('/').filter(Boolean).pop() || `article-${i + 1}`;
+        const reportPath = `./test-results/content-validation/${slug}-${browserName}.json`;
+        await TestHelpers.saveToFile(reportPath, JSON.stringify(report, null, 2));
+        await testInfo.attach(`content-validation-${slug}`, { path: reportPath, contentType: 'application/json' });
+
+        report.issues.forEach(issue => {
+          TestHelpers.logStep(`[${issue.check}] ${issue.message}${issue.target ? `: ${issue.target}` : ''}`, issue.severity === 'error' ? 'FAIL' : 'INFO');
+        });
+        TestHelpers.logStep(
+          `Article ${i + 1}: ${report.summary.linksChecked} links, ${report.summary.imagesChecked} images, ` +
+          `${report.summary.errors} errors, ${report.summary.warnings} warnings`,
+          report.passed ? 'PASS' : 'FAIL'
+        );
+
+        // Soft assertions so every article is validated and reported
+        expect.soft(report.checks.links.broken.map(link => `${link.status} ${link.url}`), `Broken links in ${articleUrl}`).toEqual([]);
+        expect.soft(report.checks.images.broken.map(image => image.src), `Broken images in ${articleUrl}`).toEqual([]);
+        expect.soft(report.checks.images.missingAlt.map(image => image.src), `Images without alt text in ${articleUrl}`).toEqual([]);
+        expect.soft(report.checks.headings.h1Count, `h1 count in ${articleUrl}`).toBe(1);
+        expect.soft(report.checks.headings.skipped.map(heading => heading.text), `Skipped heading levels in ${articleUrl}`).toEqual([]);
+        expect.soft(report.checks.placeholders.matches.map(item => item.match), `Placeholder text in ${articleUrl}`).toEqual([]);
+      }
+
+      TestHelpers.logStep('Article content validation test completed', 'PASS');
+
+    } catch (error) {
+      TestHelpers.logStep(`Article content validation failed: ${error.message}`, 'FAIL');
+      throw error;
+    }
+  });
+
+});
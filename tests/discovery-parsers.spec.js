@@ -0,0 +1,85 @@
+const { test, expect } = require('./fixtures');
+const ArticleDiscovery = require('../utils/ArticleDiscovery');
+
+const article = (path, date, sources) => ({ url: `https://www.pointr.tech${path}`, published: date, lastmod: null, sources });
+
+test.describe('Pointr Article Discovery Parser Tests', () => {
+
+  test('Sitemaps yield pages with dates and nested sitemaps', async () => {
+    const { pages, sitemaps } = ArticleDiscovery.parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+      <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+        <url><loc>https://www.pointr.tech/blog/indoor-maps?ref=a&amp;b=1</loc><lastmod>2024-03-01</lastmod></url>
+        <url>
+          <loc><![CDATA[https://www.pointr.tech/blog/wayfinding]]></loc>
+          <news:news><news:publication_date>2024-02-10T08:00:00+00:00</news:publication_date></news:news>
+        </url>
+        <url><lastmod>2024-01-01</lastmod></url>
+      </urlset>`);
+
+    expect(pages).toEqual([
+      { url: 'https://www.pointr.tech/blog/indoor-maps?ref=a&b=1', lastmod: '2024-03-01T00:00:00.000Z', published: null },
+      { url: 'https://www.pointr.tech/blog/wayfinding', lastmod: null, published: '2024-02-10T08:00:00.000Z' },
+    ]);
+    expect(sitemaps).toEqual([]);
+
+    const index = ArticleDiscovery.parseSitemap(`<sitemapindex>
+      <sitemap><loc>https://www.pointr.tech/blog-sitemap.xml</loc></sitemap>
+      <sitemap><loc>https://www.pointr.tech/pages-sitemap.xml</loc><lastmod>not a date</lastmod></sitemap>
+    </sitemapindex>`);
+    expect(index).toEqual({
+      pages: [],
+      sitemaps: ['https://www.pointr.tech/blog-sitemap.xml', 'https://www.pointr.tech/pages-sitemap.xml'],
+    });
+  });
+
+  test('RSS and Atom feeds yield items with links and dates', async () => {
+    const rss = ArticleDiscovery.parseFeed(`<rss version="2.0"><channel>
+      <title>Pointr Blog</title><link>https://www.pointr.tech/blog</link>
+      <item><title><![CDATA[Maps & more]]></title><link>https://www.pointr.tech/blog/maps</link><pubDate>Tue, 05 Mar 2024 10:00:00 GMT</pubDate></item>
+      <item><title>Guid only</title><guid isPermaLink="true">https://www.pointr.tech/blog/guid-only</guid></item>
+      <item><title>No link</title><guid isPermaLink="false">post-42</guid></item>
+    </channel></rss>`);
+    expect(rss).toEqual({
+      format: 'rss',
+      items: [
+        { url: 'https://www.pointr.tech/blog/maps', title: 'Maps & more', published: '2024-03-05T10:00:00.000Z', updated: null },
+        { url: 'https://www.pointr.tech/blog/guid-only', title: 'Guid only', published: null, updated: null },
+      ],
+    });
+
+    const atom = ArticleDiscovery.parseFeed(`<feed xmlns="http://www.w3.org/2005/Atom">
+      <link rel="self" href="https://www.pointr.tech/blog/feed"/>
+      <entry>
+        <title>Blue dot</title>
+        <link rel="self" href="https://www.pointr.tech/api/entries/1"/>
+        <link href="https://www.pointr.tech/blog/blue-dot?a=1&amp;b=2"/>
+        <published>2024-01-15T09:30:00Z</published><updated>2024-01-20T00:00:00Z</updated>
+      </entry>
+    </feed>`);
+    expect(atom).toEqual({
+      format: 'atom',
+      items: [{ url: 'https://www.pointr.tech/blog/blue-dot?a=1&b=2', title: 'Blue dot', published: '2024-01-15T09:30:00.000Z', updated: '2024-01-20T00:00:00.000Z' }],
+    });
+
+    expect(ArticleDiscovery.parseFeed('<html><body>Not a feed</body></html>')).toEqual({ format: null, items: [] });
+  });
+
+  test('Cross-check only counts articles newer than the oldest one listed or in the feed', async () => {
+    const discovered = [
+      article('/blog/newest', '2024-05-01T00:00:00.000Z', ['sitemap', 'feed']),
+      article('/blog/unlisted', '2024-04-01T00:00:00.000Z', ['sitemap']),
+      article('/blog/not-in-feed', '2024-03-01T00:00:00.000Z', ['sitemap']),
+      article('/blog/oldest-in-feed', '2024-02-01T00:00:00.000Z', ['sitemap', 'feed']),
+      article('/blog/archived', '2020-01-01T00:00:00.000Z', ['sitemap']),
+    ];
+    // The listing was crawled on another origin and with trailing slashes
+    const listed = ['/blog/newest/', '/blog/not-in-feed', '/blog/oldest-in-feed', '/blog/only-listed']
+      .map(path => `http://localhost:4173${path}`);
+
+    const check = ArticleDiscovery.crossCheck(discovered, listed);
+    expect(check.missingFromListing.map(item => item.url)).toEqual(['https://www.pointr.tech/blog/unlisted']);
+    expect(check.missingFromSitemap).toEqual(['http://localhost:4173/blog/only-listed']);
+    expect(check.missingFromFeed).toEqual(['http://localhost:4173/blog/not-in-feed']);
+  });
+
+});
@@ -0,0 +1,74 @@
+const { test, expect } = require('./fixtures');
+const TestHelpers = require('../utils/TestHelpers');
+const ArticleDiscovery = require('../utils/ArticleDiscovery');
+
+// Explicit sources, e.g. DISCOVERY_SITEMAPS=/blog-sitemap.xml DISCOVERY_FEEDS=/blog/rss.xml; found automatically otherwise
+const discoveryOptions = {
+  sitemaps: process.env.DISCOVERY_SITEMAPS ? process.env.DISCOVERY_SITEMAPS.split(',') : undefined,
+  feeds: process.env.DISCOVERY_FEEDS ? process.env.DISCOVERY_FEEDS.split(',') : undefined,
+};
+// Crawling the whole listing takes minutes, so it only runs with DISCOVERY_CRAWL=1 (npm run test:discovery)
+const crawlListing = process.env.DISCOVERY_CRAWL === '1';
+
+test.describe('Pointr Article Discovery Tests', () => {
+
+  test('Sitemap and feed list blog articles with dates', async ({ blogPage }) => {
+    await blogPage.navigateToBlog();
+    const discovery = await blogPage.discoverArticles(discoveryOptions);
+    discovery.errors.forEach(error => TestHelpers.logStep(error, 'WARN'));
+
+    const fromSitemap = discovery.articles.filter(article => article.sources.includes('sitemap'));
+    const fromFeed = discovery.articles.filter(article => article.sources.includes('feed'));
+    TestHelpers.logStep(`Sitemaps: ${discovery.sitemaps.join(', ') || 'none'}; feeds: ${discovery.feeds.join(', ') || 'none'}`, 'INFO');
+    TestHelpers.logStep(`Discovered ${discovery.articles.length} articles (${fromSitemap.length} in sitemaps, ${fromFeed.length} in feeds)`, 'INFO');
+
+    expect(discovery.articles.length).toBeGreaterThan(0);
+    expect.soft(fromSitemap.length, 'Articles listed in a sitemap').toBeGreaterThan(0);
+    expect.soft(fromFeed.length, 'Articles listed in a feed').toBeGreaterThan(0);
+    expect.soft(discovery.articles.filter(article => !article.published && !article.lastmod).map(article => article.url),
+      'Articles without a publish or lastmod date').toEqual([]);
+  });
+
+  test('Published articles are listed and listed articles are in the sitemap', async ({ blogPage, browserName }, testInfo) => {
+    test.skip(!crawlListing, 'Full listing crawl runs with DISCOVERY_CRAWL=1');
+    // Crawling the whole listing can take many page loads
+    test.setTimeout(Math.max(testInfo.timeout, 180000));
+
+    await blogPage.navigateToBlog();
+    const discovery = await blogPage.discoverArticles(discoveryOptions);
+    expect(discovery.articles.length).toBeGreaterThan(0);
+
+    await blogPage.navigateToBlog();
+    const listed = (await blogPage.crawlArticles()).map(article => article.url);
+    expect(listed.length).toBeGreaterThan(0);
+    TestHelpers.logStep(`Comparing ${listed.length} listed articles with ${discovery.articles.length} discovered ones`, 'INFO');
+
+    const check = ArticleDiscovery.crossCheck(discovery.articles, listed);
+    check.missingFromListing.forEach(article => TestHelpers.logStep(`Published but not listed: ${article.url} (${article.published || article.lastmod})`, 'FAIL'));
+    check.missingFromSitemap.forEach(url => TestHelpers.logStep(`Listed but not in the sitemap: ${url}`, 'FAIL'));
+    check.missingFromFeed.forEach(url => TestHelpers.logStep(`Listed but not in the feed: ${url}`, 'FAIL'));
+
+    const reportPath = `./test-results/discovery/discovery-${browserName}.json`;
+    await TestHelpers.saveToFile(reportPath, JSON.stringify({ checkedAt: new Date().toISOString(), listed, ...discovery, ...check }, null, 2));
+    await testInfo.attach('discovery-report', { path: reportPath, contentType: 'application/json' });
+
+    // Soft assertions so every kind of mismatch is reported
+    expect.soft(check.missingFromListing.map(article => article.url), 'Published articles missing from the listing').toEqual([]);
+    if (discovery.articles.some(article => article.sources.includes('sitemap'))) {
+      expect.soft(check.missingFromSitemap, 'Listed articles missing from the sitemap').toEqual([]);
+    }
+    expect.soft(check.missingFromFeed, 'Recent listed articles missing from the feed').toEqual([]);
+  });
+
+  test('Latest articles on the listing are the newest by publish date', async ({ blogPage }) => {
+    await blogPage.navigateToBlog();
+    const byListing = await blogPage.getLatestArticleLinks(3);
+    const byDate = await blogPage.getLatestArticleLinks(3, { by: 'date' });
+    expect(byDate.length).toBeGreaterThan(0);
+
+    byDate.forEach((url, index) => TestHelpers.logStep(`Newest ${index + 1} by publish date: ${url}`, 'INFO'));
+    const toKeys = urls => urls.map(url => ArticleDiscovery.articleKey(url)).sort();
+    expect.soft(toKeys(byListing), 'Latest articles on the listing').toEqual(toKeys(byDate));
+  });
+
+});
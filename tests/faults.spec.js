@@ -0,0 +1,105 @@
+const { test, expect } = require('./fixtures');
+const BasePage = require('../pages/BasePage');
+const TestHelpers = require('../utils/TestHelpers');
+
+test.describe('Pointr Fault Injection Tests', () => {
+
+  test('Server error on the blog page is reported as a load error', async ({ blogPage, faultInjector: faults }) => {
+    await faults.apply('server-error', { status: 503 });
+
+    const error = await blogPage.navigateToBlog().catch(caught => caught);
+    expect(error).toBeInstanceOf(BasePage.PageLoadError);
+    expect(error.status).toBe(503);
+
+    const check = await blogPage.checkBlogPage();
+    expect(check.loaded).toBe(false);
+    expect(check.problems).toContain('Page returned HTTP 503');
+    TestHelpers.logStep(`Reported: ${check.problems.join('; ')}`, 'PASS');
+  });
+
+  test('Transient server errors are retried until the page loads', async ({ blogPage, faultInjector: faults }) => {
+    await faults.apply('server-error', { status: 503, times: 1 });
+
+    await blogPage.navigateToBlog();
+    const check = await blogPage.checkBlogPage();
+    expect(check.loaded).toBe(true);
+    expect(check.diagnostics.status).toBe(200);
+    expect(faults.affected.filter(request => request.scenario === 'server-error')).toHaveLength(1);
+  });
+
+  test('Client errors are not retried', async ({ blogPage, faultInjector: faults }) => {
+    await faults.apply('server-error', { status: 404 });
+
+    await expect(blogPage.navigateToBlog()).rejects.toThrow(/HTTP 404/);
+    expect(faults.affected.filter(request => request.scenario === 'server-error')).toHaveLength(1);
+  });
+
+  test('Server error on an article is reported as a load error', async ({ blogPage, articlePage, faultInjector: faults }) => {
+    await blogPage.navigateToBlog();
+    const [articleUrl] = await blogPage.getLatestArticleLinks(1);
+    expect(articleUrl).toBeTruthy();
+
+    await faults.apply('server-error', { status: 500 });
+    await expect(articlePage.navigateToArticle(articleUrl)).rejects.toThrow(/HTTP 500/);
+
+    const check = await articlePage.checkArticlePage();
+    expect(check.loaded).toBe(false);
+    expect(check.problems).toEqual(expect.arrayContaining(['Page returned HTTP 500', 'Article title not found']));
+  });
+
+  test('Offline navigation fails with a load error instead of empty results', async ({ blogPage, faultInjector: faults }) => {
+    await faults.apply('offline');
+
+    const error = await blogPage.navigateToBlog().catch(caught => caught);
+    expect(error).toBeInstanceOf(BasePage.PageLoadError);
+    expect(error.status).toBeNull();
+
+    const diagnostics = blogPage.getLoadDiagnostics();
+    expect(diagnostics.error).toBeTruthy();
+    expect(blogPage.getLoadProblems()[0]).toMatch(/^Navigation failed: /);
+  });
+
+  test('Slow responses are measured and time out with a load error', async ({ blogPage, faultInjector: faults }) => {
+    await faults.apply('slow', { delay: 2000 });
+
+    await blogPage.navigateToBlog();
+    expect(await blogPage.isBlogPageLoaded()).toBe(true);
+    expect(blogPage.getLoadDiagnostics().durationMs).toBeGreaterThanOrEqual(2000);
+
+    // A navigation timeout shorter than the delay surfaces as a load error
+    await expect(blogPage.goto('/blog', { timeout: 1000 })).rejects.toThrow(BasePage.PageLoadError);
+    expect(blogPage.getLoadProblems()[0]).toMatch(/^Navigation failed: .*Timeout/i);
+  });
+
+  test('Blocked analytics and fonts are reported without failing the page', async ({ blogPage, faultInjector: faults }) => {
+    await faults.apply('blocked-third-party');
+
+    await blogPage.navigateToBlog();
+    const check = await blogPage.checkBlogPage();
+    expect(check.loaded).toBe(true);
+
+    // Blocked requests show up as failed requests, and the page says so
+    const blocked = faults.affected.map(request => request.url);
+    if (blocked.length > 0) {
+      expect(check.diagnostics.failedRequests.some(request => blocked.includes(request.url))).toBe(true);
+      expect(check.problems.join(' ')).toMatch(/requests failed/);
+    }
+    TestHelpers.logStep(`Blocked ${blocked.length} third-party requests`, 'INFO');
+  });
+
+  test('Truncated HTML is detected on the article page', async ({ blogPage, articlePage, faultInjector: faults }) => {
+    await blogPage.navigateToBlog();
+    const [articleUrl] = await blogPage.getLatestArticleLinks(1);
+    expect(articleUrl).toBeTruthy();
+
+    await faults.apply('truncated-html', { ratio: 0.3 });
+    await articlePage.navigateToArticle(articleUrl);
+
+    const check = await articlePage.checkArticlePage();
+    expect(check.diagnostics.truncated).toBe(true);
+    expect(check.problems).toContain('HTML response is truncated (no closing </html>)');
+    expect(faults.affected.some(request => request.scenario === 'truncated-html')).toBe(true);
+    TestHelpers.logStep(`Reported: ${check.problems.join('; ')}`, 'PASS');
+  });
+
+});
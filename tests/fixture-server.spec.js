@@ -0,0 +1,64 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { test, expect } = require('./fixtures');
+const FixtureServer = require('../utils/FixtureServer');
+
+/**
+ * Start a throwaway HTTP server on a free port
+ * @param {Object} routes - Path => {type, body}, looked up on every request
+ * @returns {Promise<{url: string, close: Function}>} Base URL and a close function
+ */
+async function startOrigin(routes) {
+  const server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    res.writeHead(route ? 200 : 404, { 'content-type': route ? route.type : 'text/plain' });
+    res.end(route ? route.body : 'Not found');
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  return {
+    url: `http://localhost:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+test.describe('Pointr Fixture Server Tests', () => {
+
+  test('Replay serves recorded pages and external assets without the origins', async ({}, testInfo) => {
+    const fixturesDir = testInfo.outputPath('fixtures');
+    const cdn = await startOrigin({ '/app.js': { type: 'application/javascript', body: 'window.loaded = true;' } });
+    // Routes are read per request, so the page can link to its own origin's URL
+    const siteRoutes = {};
+    const origin = await startOrigin(siteRoutes);
+    siteRoutes['/blog'] = { type: 'text/html', body: `<a href="${origin.url}/blog/post">Post</a><script src="${cdn.url}/app.js"></script>` };
+    const external = `${FixtureServer.EXTERNAL_PATH}?url=${encodeURIComponent(`${cdn.url}/app.js`)}`;
+
+    const recorder = new FixtureServer({ origin: origin.url, fixturesDir, mode: 'record', port: 0 });
+    const recordURL = await recorder.start();
+    expect(await (await fetch(`${recordURL}/blog`)).text()).toContain('<a href="/blog/post">');
+    expect(await (await fetch(`${recordURL}${external}`)).text()).toBe('window.loaded = true;');
+    await recorder.stop();
+    await origin.close();
+    await cdn.close();
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'manifest.json'), 'utf8'));
+    expect(Object.keys(manifest.entries).sort()).toEqual([`${cdn.url}/app.js`, '/blog'].sort());
+    expect(manifest.entries['/blog']).toMatchObject({ status: 200, headers: { 'content-type': 'text/html' } });
+    expect(manifest.entries[`${cdn.url}/app.js`].file).toMatch(/^files[\\/]external[\\/]/);
+
+    // Both origins are gone: everything below comes from the fixtures
+    const replayer = new FixtureServer({ origin: origin.url, fixturesDir, mode: 'replay', port: 0 });
+    const replayURL = await replayer.start();
+    try {
+      const page = await fetch(`${replayURL}/blog`);
+      expect(page.status).toBe(200);
+      expect(await page.text()).toContain(`<script src="${cdn.url}/app.js">`);
+      expect(await (await fetch(`${replayURL}${external}`)).text()).toBe('window.loaded = true;');
+      expect((await fetch(`${replayURL}/blog/unrecorded`)).status).toBe(404);
+      expect((await fetch(`${replayURL}${FixtureServer.EXTERNAL_PATH}?url=${encodeURIComponent('https://cdn.example.com/x.js')}`)).status).toBe(404);
+    } finally {
+      await replayer.stop();
+    }
+  });
+
+});
@@ -0,0 +1,105 @@
+const base = require('@playwright/test');
+const path = require('path');
+const BlogPage = require('../pages/BlogPage');
+const ArticlePage = require('../pages/ArticlePage');
+const WordAnalyzer = require('../utils/WordAnalyzer');
+const FaultInjector = require('../utils/FaultInjector');
+const ArticleAggregator = require('../utils/ArticleAggregator');
+const ArticleExtractor = require('../utils/ArticleExtractor');
+const ExtractionCache = require('../utils/ExtractionCache');
+const FixtureServer = require('../utils/FixtureServer');
+const Logger = require('../utils/Logger');
+
+// Pages extracting articles side by side within one test, e.g. ARTICLE_CONCURRENCY=4
+const ARTICLE_CONCURRENCY = Number(process.env.ARTICLE_CONCURRENCY) || 3;
+// Opt-in: a cache hit skips the browser, so a broken article template would still pass.
+// EXTRACTION_CACHE=on reuses unchanged articles; EXTRACTION_CACHE_REFRESH=1 re-extracts and re-caches them
+const EXTRACTION_CACHE = process.env.EXTRACTION_CACHE === 'on';
+// Record/replay runs serve pages from the fixture server at baseURL (see playwright.config.js)
+const USE_FIXTURE_SERVER = (process.env.BLOG_SOURCE || 'live') !== 'live';
+
+/**
+ * Custom fixtures
+ * Page objects for the test's page, an analyzer shared by the worker, an
+ * aggregator storing the test's article results, and extractArticles() to
+ * spread article extraction across pages.
+ */
+const test = base.test.extend({
+  // Every test: log entries carry the test title and browser, and are attached as the step log
+  stepLog: [async ({ browserName }, use, testInfo) => {
+    Logger.startTest({ test: testInfo.titlePath.slice(1).join(' › '), browser: browserName });
+    await use();
+    const entries = Logger.endTest();
+    if (entries.length > 0) {
+      await testInfo.attach('step-log', {
+        body: entries.map(entry => JSON.stringify(entry)).join('\n'),
+        contentType: 'application/x-ndjson',
+      });
+    }
+  }, { auto: true }],
+
+  // Record/replay: CDN scripts, fonts and images go through the fixture server too, so replay stays offline
+  context: async ({ context, baseURL }, use) => {
+    if (USE_FIXTURE_SERVER) await FixtureServer.routeExternal(context, baseURL);
+    await use(context);
+  },
+
+  blogPage: async ({ page }, use) => {
+    await use(new BlogPage(page));
+  },
+
+  articlePage: async ({ page }, use) => {
+    await use(new ArticlePage(page));
+  },
+
+  faultInjector: async ({ page }, use) => {
+    const faults = new FaultInjector(page);
+    await use(faults);
+    await faults.clear();
+  },
+
+  // Stateless between calls, so one instance serves every test in the worker
+  wordAnalyzer: [async ({}, use) => {
+    await use(new WordAnalyzer());
+  }, { scope: 'worker' }],
+
+  // Results of every worker in this run and project end up in the same directory, stored per test
+  // because every test numbers its articles from 1; a retry replaces its own earlier results
+  articleAggregator: async ({}, use, testInfo) => {
+    const runId = process.env.ARTICLE_RUN_ID || 'local';
+    await use(new ArticleAggregator(path.join('test-results', 'articles', runId, testInfo.project.name), {
+      caller: { id: testInfo.testId, file: path.basename(testInfo.file), title: testInfo.titlePath.slice(1).join(' › ') },
+    }));
+  },
+
+  // Unchanged articles are served from disk instead of the browser; null unless EXTRACTION_CACHE=on
+  extractionCache: [async ({}, use) => {
+    await use(EXTRACTION_CACHE
+      ? new ExtractionCache(process.env.EXTRACTION_CACHE_DIR || '.cache/articles', {
+        refresh: process.env.EXTRACTION_CACHE_REFRESH === '1',
+      })
+      : null);
+  }, { scope: 'worker' }],
+
+  /**
+   * extractArticles(urls, {concurrency, indexOffset}) opens `concurrency` extra pages in the
+   * test's browser context and hands each the next URL until all are done (see ArticleExtractor).
+   * Articles the cache knows to be unchanged skip the browser; each result's `cache` says 'hit',
+   * 'miss' or 'refresh'. Every result, including failed articles, goes to the aggregator.
+   * Resolves to the results in URL order.
+   */
+  extractArticles: async ({ context, browserName, articleAggregator, extractionCache }, use) => {
+    const extractor = new ArticleExtractor(context, {
+      cache: extractionCache,
+      aggregator: articleAggregator,
+      screenshotName: index => `article-${index}-${browserName}`,
+    });
+
+    await use((urls, { concurrency = ARTICLE_CONCURRENCY, indexOffset = 0 } = {}) =>
+      extractor.extract(urls, { concurrency, indexOffset }));
+
+    await extractor.close();
+  },
+});
+
+module.exports = { test, expect: base.expect };
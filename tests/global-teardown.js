@@ -0,0 +1,41 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ArticleAggregator = require('../utils/ArticleAggregator');
+const WordAnalyzer = require('../utils/WordAnalyzer');
+const ReportWriter = require('../utils/ReportWriter');
+const TestHelpers = require('../utils/TestHelpers');
+
+/**
+ * Merge the article results every worker stored during this run, one
+ * merged.json per project. Sharded runs (ARTICLE_SHARDS) also get a word
+ * frequency report over the merged shards of articles.spec.js, since no
+ * single test saw them all.
+ */
+module.exports = async () => {
+  const runId = process.env.ARTICLE_RUN_ID || 'local';
+  const runDirectory = path.join('test-results', 'articles', runId);
+  if (!(await TestHelpers.fileExists(runDirectory))) return;
+
+  for (const project of await fs.readdir(runDirectory)) {
+    const projectDirectory = path.join(runDirectory, project);
+    if (!(await fs.stat(projectDirectory)).isDirectory()) continue;
+
+    const merged = await new ArticleAggregator(projectDirectory).merge({ runId, project });
+    TestHelpers.logStep(
+      `Merged ${merged.totalArticles} article results for ${project} (${merged.failedArticles} failed)`,
+      merged.failedArticles > 0 ? 'FAIL' : 'PASS'
+    );
+
+    // Other specs extract some of the same articles; only the shards make up the sharded corpus
+    const shardArticles = merged.articles.filter(article => article.caller?.file === 'articles.spec.js');
+    if (process.env.ARTICLE_SHARDS && shardArticles.length > 0) {
+      const analysis = new WordAnalyzer().analyzeMultipleArticles(shardArticles, 5);
+      const written = await ReportWriter.writeReports(ReportWriter.buildReport(analysis, { browser: project }), {
+        formats: ['json', 'markdown'],
+        outputDir: runDirectory,
+        baseName: `word-frequency-results-${project}-merged`,
+      });
+      written.forEach(report => TestHelpers.logStep(`Merged results saved to: ${report.path}`, 'PASS'));
+    }
+  }
+};
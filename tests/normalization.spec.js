@@ -0,0 +1,35 @@
+const { test, expect } = require('./fixtures');
+const WordAnalyzer = require('../utils/WordAnalyzer');
+const WordNormalizer = require('../utils/WordNormalizer');
+
+test.describe('Pointr Word Normalization Tests', () => {
+
+  test('Lemma mode groups build, building and buildings under one key', async () => {
+    const normalizer = new WordNormalizer('lemma');
+    expect(['build', 'building', 'buildings'].map(word => normalizer.normalize(word))).toEqual(['build', 'build', 'build']);
+
+    const analysis = new WordAnalyzer({ normalization: 'lemma', language: 'en' })
+      .analyzeText('Smart buildings need maps. Building maps for every building helps teams build faster.');
+    expect(analysis.topWords[0]).toEqual({ word: 'building', count: 4 });
+    expect(analysis.variants.building.forms).toEqual({ buildings: 1, building: 2, build: 1 });
+    expect(Object.keys(analysis.frequency)).not.toContain('buildings');
+  });
+
+  test('Lemma mode leaves words that only look inflected alone', async () => {
+    ['need', 'during', 'thing', 'bring', 'sing', 'morning'].forEach(word => {
+      expect(WordNormalizer.lemmatize(word), word).toBe(word);
+    });
+    expect(WordNormalizer.lemmatize('things')).toBe('thing');
+    expect(WordNormalizer.lemmatize('needs')).toBe('need');
+  });
+
+  test('Lemma mode only shortens -eed when a syllable comes before it', async () => {
+    ['need', 'bleed', 'heed', 'speed'].forEach(word => {
+      expect(WordNormalizer.lemmatize(word), word).toBe(word);
+    });
+    expect(WordNormalizer.lemmatize('agreed')).toBe('agree');
+    expect(WordNormalizer.lemmatize('guaranteed')).toBe('guarantee');
+    expect(WordNormalizer.lemmatize('bleeding')).toBe('bleed');
+  });
+
+});
@@ -0,0 +1,78 @@
+const { test, expect } = require('./fixtures');
+const BasePage = require('../pages/BasePage');
+const TestHelpers = require('../utils/TestHelpers');
+
+/**
+ * Log and attach the performance records collected since a given index
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {number} since - Number of records that existed before the test
+ * @returns {Promise<Array>} The test's records
+ */
+async function reportPerformance(testInfo, since) {
+  const records = BasePage.getPerformanceResults().slice(since);
+
+  records.forEach(record => {
+    const { metrics } = record;
+    TestHelpers.logStep(
+      `${record.url}: TTFB ${metrics.navigation?.ttfb ?? '-'}ms, FCP ${metrics.fcp ?? '-'}ms, LCP ${metrics.lcp ?? '-'}ms, ` +
+      `CLS ${metrics.cls ?? '-'}, TBT ${metrics.tbt ?? '-'}ms, ${metrics.requests.total} requests, ` +
+      `${Math.round(metrics.transferSize / 1024)} KB`,
+      record.withinBudget ? 'PASS' : 'FAIL'
+    );
+    record.budget.filter(item => item.status === 'fail').forEach(item => {
+      TestHelpers.logStep(`Over budget on ${record.pageType}: ${item.metric} ${item.value} > ${item.limit}`, 'FAIL');
+    });
+  });
+
+  await testInfo.attach('performance-metrics', {
+    body: JSON.stringify(records, null, 2),
+    contentType: 'application/json',
+  });
+  return records;
+}
+
+/**
+ * Soft-assert that every record stayed within its budget
+ * @param {Array} records - Performance records
+ */
+function expectWithinBudget(records) {
+  records.forEach(record => {
+    expect.soft(
+      record.budget.filter(item => item.status === 'fail').map(item => `${item.metric}: ${item.value} > ${item.limit}`),
+      `Performance budget for ${record.pageType} page ${record.url}`
+    ).toEqual([]);
+  });
+}
+
+test.describe('Pointr Performance Tests', () => {
+  test('Blog listing stays within performance budget', async ({ blogPage }, testInfo) => {
+    TestHelpers.logStep('Starting blog listing performance test', 'INFO');
+    const since = BasePage.getPerformanceResults().length;
+
+    await blogPage.navigateToBlog();
+    expect(await blogPage.isBlogPageLoaded()).toBe(true);
+
+    const records = await reportPerformance(testInfo, since);
+    expect(records.length).toBe(1);
+    expectWithinBudget(records);
+  });
+
+  test('Latest 3 articles stay within performance budget', async ({ blogPage, articlePage }, testInfo) => {
+    TestHelpers.logStep('Starting article performance test', 'INFO');
+
+    await blogPage.navigateToBlog();
+    const articleLinks = await blogPage.getLatestArticleLinks(3);
+    expect(articleLinks.length).toBeGreaterThanOrEqual(3);
+
+    // Only the article navigations count towards this test
+    const since = BasePage.getPerformanceResults().length;
+    for (const articleUrl of articleLinks.slice(0, 3)) {
+      await articlePage.navigateToArticle(articleUrl);
+    }
+
+    const records = await reportPerformance(testInfo, since);
+    expect(records.length).toBe(3);
+    expectWithinBudget(records);
+  });
+
+});
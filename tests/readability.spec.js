@@ -0,0 +1,59 @@
+const path = require('path');
+const { test, expect } = require('./fixtures');
+const TestHelpers = require('../utils/TestHelpers');
+const TextStatistics = require('../utils/TextStatistics');
+
+// READABILITY_THRESHOLDS=path/to/thresholds.js replaces config/readability-thresholds.js
+const thresholds = process.env.READABILITY_THRESHOLDS
+  ? require(path.resolve(process.env.READABILITY_THRESHOLDS))
+  : require('../config/readability-thresholds');
+const ARTICLE_COUNT = Number(process.env.ARTICLE_COUNT) || 3;
+
+test.describe('Pointr Readability Tests', () => {
+
+  test(`Latest ${ARTICLE_COUNT} articles stay within the readability thresholds`, async ({ blogPage, wordAnalyzer, extractArticles, browserName }, testInfo) => {
+    test.setTimeout(Math.max(testInfo.timeout, 30000 + ARTICLE_COUNT * 10000));
+
+    await blogPage.navigateToBlog();
+    const articleLinks = await blogPage.getLatestArticleLinks(ARTICLE_COUNT);
+    const articles = (await extractArticles(articleLinks)).filter(article => !article.error);
+    expect(articles.length).toBeGreaterThan(0);
+
+    const results = articles.map(article => {
+      const { statistics } = wordAnalyzer.analyzeText(article.text, undefined, { prose: article.prose || article.text });
+      return {
+        index: article.index,
+        title: article.title,
+        url: article.url,
+        statistics,
+        checks: TextStatistics.checkThresholds(statistics, thresholds),
+      };
+    });
+
+    results.forEach(({ index, statistics, checks }) => {
+      const { readingTime, sentences, paragraphs, averageSentenceLength, lexicalDiversity, readability } = statistics;
+      TestHelpers.logStep(
+        `Article ${index}: ${readingTime.minutes} min, ${sentences} sentences in ${paragraphs} paragraphs ` +
+        `(${averageSentenceLength} words each), TTR ${lexicalDiversity.typeTokenRatio}, MTLD ${lexicalDiversity.mtld}` +
+        (readability
+          ? `, Flesch ${readability.fleschReadingEase}, Flesch-Kincaid ${readability.fleschKincaidGrade}, Fog ${readability.gunningFog}`
+          : `, no readability scores for language "${statistics.language}"`),
+        checks.some(check => check.status === 'fail') ? 'FAIL' : 'INFO',
+        { articleIndex: index }
+      );
+      checks.filter(check => check.status === 'fail').forEach(check => {
+        TestHelpers.logStep(`Article ${index} ${check.metric}: ${check.value} (limit ${check.limit})`, 'FAIL', { articleIndex: index });
+      });
+    });
+
+    const reportPath = `./test-results/readability/readability-${browserName}.json`;
+    await TestHelpers.saveToFile(reportPath, JSON.stringify({ checkedAt: new Date().toISOString(), thresholds, articles: results }, null, 2));
+    await testInfo.attach('readability-report', { path: reportPath, contentType: 'application/json' });
+
+    // Soft assertions so every article is checked and reported
+    results.forEach(({ url, checks }) => {
+      expect.soft(checks.filter(check => check.status === 'fail'), `Readability thresholds exceeded by ${url}`).toEqual([]);
+    });
+  });
+
+});
@@ -0,0 +1,69 @@
+const path = require('path');
+const { test, expect } = require('./fixtures');
+const TestHelpers = require('../utils/TestHelpers');
+const SimilarityAnalyzer = require('../utils/SimilarityAnalyzer');
+const FingerprintStore = require('../utils/FingerprintStore');
+
+// SIMILARITY_THRESHOLDS=path/to/thresholds.js replaces config/similarity-thresholds.js
+const thresholds = process.env.SIMILARITY_THRESHOLDS
+  ? require(path.resolve(process.env.SIMILARITY_THRESHOLDS))
+  : require('../config/similarity-thresholds');
+const ARTICLE_COUNT = Number(process.env.SIMILARITY_ARTICLE_COUNT) || 3;
+// Fingerprints of every article checked so far, one store per project so parallel projects don't
+// overwrite each other's updates, e.g. ARTICLE_FINGERPRINTS=./archive/fingerprints-{project}.json
+const FINGERPRINTS_PATH = process.env.ARTICLE_FINGERPRINTS || 'test-results/history/article-fingerprints-{project}.json';
+
+const describePair = pair =>
+  `resemblance ${pair.resemblance}, containment ${pair.containment}, cosine ${pair.cosine}, simhash ${pair.simhash}`;
+
+test.describe('Pointr Content Similarity Tests', () => {
+
+  test(`Latest ${ARTICLE_COUNT} articles are not near-duplicates of each other or of archived articles`, async ({ blogPage, wordAnalyzer, extractArticles, browserName }, testInfo) => {
+    test.setTimeout(Math.max(testInfo.timeout, 30000 + ARTICLE_COUNT * 10000));
+
+    await blogPage.navigateToBlog();
+    const articleLinks = await blogPage.getLatestArticleLinks(ARTICLE_COUNT);
+    const articles = (await extractArticles(articleLinks)).filter(article => !article.error);
+    expect(articles.length).toBeGreaterThan(1);
+
+    const similarity = new SimilarityAnalyzer({ thresholds }, wordAnalyzer);
+    const { fingerprints, pairs, duplicates } = similarity.analyze(wordAnalyzer.analyzeMultipleArticles(articles, 5));
+    TestHelpers.logStep(`Compared ${pairs.length} pairs of ${fingerprints.length} articles`, 'INFO');
+
+    duplicates.forEach(pair => {
+      TestHelpers.logStep(`Similar: ${pair.a.url} and ${pair.b.url} (${describePair(pair)})`, 'FAIL');
+      pair.passages.slice(0, 3).forEach(passage => TestHelpers.logStep(`Shared passage (${passage.words} words): "${passage.text}"`, 'INFO'));
+    });
+
+    // Articles of this run are compared above; the archive check covers everything seen before
+    const store = new FingerprintStore(FINGERPRINTS_PATH.replace('{project}', testInfo.project.name));
+    const currentKeys = new Set(fingerprints.map(fingerprint => FingerprintStore.keyOf(fingerprint.url)));
+    const archive = (await store.readAll()).filter(stored => !currentKeys.has(FingerprintStore.keyOf(stored.url)));
+    const archiveMatches = fingerprints.flatMap(fingerprint => similarity.findSimilar(fingerprint, archive, FingerprintStore.keyOf));
+    TestHelpers.logStep(`Checked against ${archive.length} archived articles`, 'INFO');
+
+    archiveMatches.forEach(pair => {
+      TestHelpers.logStep(`Similar to archived article: ${pair.a.url} and ${pair.b.url} (${describePair(pair)})`, 'FAIL');
+      pair.passages.slice(0, 3).forEach(passage => TestHelpers.logStep(`Shared passage (${passage.words} words): "${passage.text}"`, 'INFO'));
+    });
+
+    const storedCount = await store.save(fingerprints);
+    TestHelpers.logStep(`Fingerprint store holds ${storedCount} articles`, 'INFO');
+
+    const reportPath = `./test-results/similarity/similarity-${browserName}.json`;
+    await TestHelpers.saveToFile(reportPath, JSON.stringify({
+      checkedAt: new Date().toISOString(),
+      thresholds: similarity.options.thresholds,
+      articles: fingerprints.map(({ url, title, words, simhash }) => ({ url, title, words, simhash })),
+      archivedArticles: archive.length,
+      pairs,
+      archiveMatches,
+    }, null, 2));
+    await testInfo.attach('similarity-report', { path: reportPath, contentType: 'application/json' });
+
+    // Soft assertions so both kinds of overlap are reported
+    expect.soft(duplicates.map(pair => `${pair.a.url} ~ ${pair.b.url}`), 'Near-duplicate articles').toEqual([]);
+    expect.soft(archiveMatches.map(pair => `${pair.a.url} ~ ${pair.b.url}`), 'Articles near-duplicating archived ones').toEqual([]);
+  });
+
+});
@@ -0,0 +1,48 @@
+const { test, expect } = require('./fixtures');
+const TestHelpers = require('../utils/TestHelpers');
+
+// Visual comparisons only run on request (VISUAL=1), ideally against BLOG_SOURCE=replay
+// so new posts don't show up as diffs
+test.skip(!process.env.VISUAL, 'Visual regression runs with VISUAL=1');
+
+test.describe('Pointr Visual Regression Tests', () => {
+  test('Blog listing matches visual baseline', async ({ blogPage, page }) => {
+    TestHelpers.logStep('Starting blog listing visual comparison', 'INFO');
+
+    await blogPage.navigateToBlog();
+    expect(await blogPage.isBlogPageLoaded()).toBe(true);
+
+    await expect(page).toHaveScreenshot('blog-listing.png', {
+      fullPage: true,
+      mask: await blogPage.getMaskLocators(),
+    });
+
+    // The card itself is the component under test, so only its date is masked
+    const articleCard = await blogPage.getComponent('articleCards');
+    expect(articleCard).not.toBeNull();
+    await expect(articleCard).toHaveScreenshot('blog-article-card.png', {
+      mask: await blogPage.getMaskLocators(['publishDates', 'cookieBanner']),
+    });
+  });
+
+  test('Article template matches visual baseline', async ({ blogPage, articlePage }) => {
+    TestHelpers.logStep('Starting article template visual comparison', 'INFO');
+
+    await blogPage.navigateToBlog();
+    const articleLinks = await blogPage.getLatestArticleLinks(1);
+    expect(articleLinks.length).toBeGreaterThanOrEqual(1);
+
+    await articlePage.navigateToArticle(articleLinks[0]);
+    expect(await articlePage.isArticlePageLoaded()).toBe(true);
+    const mask = await articlePage.getMaskLocators();
+
+    const articleHeader = await articlePage.getComponent('articleHeader');
+    expect(articleHeader).not.toBeNull();
+    await expect(articleHeader).toHaveScreenshot('article-header.png', { mask });
+
+    const authorBlock = await articlePage.getComponent('authorBlock');
+    expect(authorBlock).not.toBeNull();
+    await expect(authorBlock).toHaveScreenshot('article-author.png', { mask });
+  });
+
+});
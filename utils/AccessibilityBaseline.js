@@ -0,0 +1,85 @@
+const TestHelpers = require('./TestHelpers');
+
+/**
+ * Accessibility Baseline
+ * Known accessibility violations per page type, stored in a JSON file that is
+ * committed with the tests. Audits compare against it so only violations that
+ * aren't in the baseline fail a test.
+ */
+class AccessibilityBaseline {
+  /**
+   * @param {string} filePath - Baseline JSON file
+   */
+  constructor(filePath = 'baselines/accessibility-baseline.json') {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read the baseline file
+   * @returns {Promise<Object>} {updatedAt, pages: {key: [entries]}}; empty if the file is missing
+   */
+  async load() {
+    if (!(await TestHelpers.fileExists(this.filePath))) {
+      return { updatedAt: null, pages: {} };
+    }
+    const baseline = JSON.parse(await TestHelpers.readFile(this.filePath));
+    return { updatedAt: baseline.updatedAt || null, pages: baseline.pages || {} };
+  }
+
+  /**
+   * Identify a violation by rule and element, ignoring message wording
+   * @param {Object} violation - {rule, target}
+   * @returns {string} Fingerprint
+   */
+  static fingerprint(violation) {
+    return `${violation.rule}|${violation.target}`;
+  }
+
+  /**
+   * Split violations into new and known ones
+   * @param {string} key - Page type, e.g. 'blog' or 'article'
+   * @param {Array} violations - Per-element violations from BasePage.auditAccessibility()
+   * @returns {Promise<Object>} {newViolations, knownViolations, fixedViolations}
+   */
+  async compare(key, violations) {
+    const entries = (await this.load()).pages[key] || [];
+    const known = new Set(entries.map(AccessibilityBaseline.fingerprint));
+    const current = new Set(violations.map(AccessibilityBaseline.fingerprint));
+
+    return {
+      newViolations: violations.filter(violation => !known.has(AccessibilityBaseline.fingerprint(violation))),
+      knownViolations: violations.filter(violation => known.has(AccessibilityBaseline.fingerprint(violation))),
+      // Baselined for this page type but not seen on this page
+      fixedViolations: entries.filter(entry => !current.has(AccessibilityBaseline.fingerprint(entry))),
+    };
+  }
+
+  /**
+   * Add violations to the baseline. Entries are merged rather than replaced
+   * so several pages of the same type can be audited in one run.
+   * @param {string} key - Page type
+   * @param {Array} violations - Per-element violations
+   * @returns {Promise<number>} Number of entries added
+   */
+  async update(key, violations) {
+    const baseline = await this.load();
+    const entries = new Map((baseline.pages[key] || []).map(entry => [AccessibilityBaseline.fingerprint(entry), entry]));
+    const previousSize = entries.size;
+
+    violations.forEach(({ rule, target, impact, help }) => {
+      const fingerprint = AccessibilityBaseline.fingerprint({ rule, target });
+      if (!entries.has(fingerprint)) entries.set(fingerprint, { rule, target, impact, help });
+    });
+
+    // Keep the file sorted so baseline updates produce readable diffs
+    baseline.pages[key] = [...entries.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([, entry]) => entry);
+    baseline.updatedAt = new Date().toISOString();
+
+    await TestHelpers.saveToFile(this.filePath, `${JSON.stringify(baseline, null, 2)}\n`);
+    return entries.size - previousSize;
+  }
+}
+
+module.exports = AccessibilityBaseline;
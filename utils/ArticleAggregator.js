@@ -0,0 +1,73 @@
+const fs = require('fs').promises;
+const path = require('path');
+const TestHelpers = require('./TestHelpers');
+
+/**
+ * Article Aggregator
+ * Collects per-article results from any number of pages, workers or retries.
+ * Each result is its own file, written with TestHelpers.saveToFileAtomic(),
+ * so concurrent writers never share a file and readers never see half a result.
+ * Results are stored per caller (the test that extracted them), since every
+ * test numbers its articles from 1.
+ */
+class ArticleAggregator {
+  /**
+   * @param {string} directory - Directory holding this run's results
+   * @param {Object} options - Aggregator options
+   * @param {Object} options.caller - {id, file, title} of the test adding results, stored with
+   *   each of them; null for a single caller such as the CLI
+   */
+  constructor(directory, { caller = null } = {}) {
+    this.directory = directory;
+    this.caller = caller;
+  }
+
+  /**
+   * Store one article result. A result with the same caller and index
+   * replaces the earlier one, so retried tests don't produce duplicates.
+   * @param {Object} result - Article result with a 1-based index
+   * @returns {Promise<string>} Path of the stored result
+   */
+  async add(result) {
+    const prefix = this.caller ? `${this.caller.id.replace(/[^a-zA-Z0-9_-]+/g, '_')}-` : '';
+    const filePath = path.join(this.directory, `${prefix}article-${String(result.index).padStart(4, '0')}.json`);
+    await TestHelpers.saveToFileAtomic(filePath, JSON.stringify(this.caller ? { ...result, caller: this.caller } : result));
+    return filePath;
+  }
+
+  /**
+   * Read every stored result
+   * @returns {Promise<Array>} Article results ordered by caller, then index
+   */
+  async collect() {
+    if (!(await TestHelpers.fileExists(this.directory))) return [];
+
+    const files = (await fs.readdir(this.directory)).filter(file => /^([\w-]+-)?article-\d+\.json$/.test(file));
+    const results = [];
+    for (const file of files) {
+      results.push(JSON.parse(await TestHelpers.readFile(path.join(this.directory, file))));
+    }
+    const callerTitle = result => result.caller?.title || '';
+    return results.sort((a, b) => callerTitle(a).localeCompare(callerTitle(b)) || a.index - b.index);
+  }
+
+  /**
+   * Merge every stored result into merged.json
+   * @param {Object} details - Extra fields for the merged file, e.g. {runId, project}
+   * @returns {Promise<Object>} The merged record
+   */
+  async merge(details = {}) {
+    const articles = await this.collect();
+    const merged = {
+      ...details,
+      mergedAt: new Date().toISOString(),
+      totalArticles: articles.length,
+      failedArticles: articles.filter(article => article.error).length,
+      articles,
+    };
+    await TestHelpers.saveToFile(path.join(this.directory, 'merged.json'), JSON.stringify(merged, null, 2));
+    return merged;
+  }
+}
+
+module.exports = ArticleAggregator;
@@ -0,0 +1,331 @@
+// Article pages: one path segment below /blog/
+const ARTICLE_PATTERN = /\/blog\/[^/?#]+\/?(?:[?#]|$)/;
+// Listing pages below /blog/ that are not articles
+const NON_ARTICLE_PATTERN = /\/blog\/(?:tag|tags|author|authors|page|topic|category|rss\.xml|feed)(?:[/?#.]|$)/i;
+// Where feeds usually live when the listing page doesn't link one
+const FEED_PATHS = ['/blog/rss.xml', '/blog/feed', '/rss.xml', '/feed'];
+
+/**
+ * Text of the first matching XML tag, entities decoded
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Tag name, may include a prefix such as news:publication_date
+ * @returns {string|null} Text content
+ */
+function readTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  if (!match) return null;
+  return decodeXml(match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')).trim() || null;
+}
+
+/**
+ * Decode the XML entities used in URLs and titles
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Date string as ISO 8601, or null when missing or unparsable
+ * @param {string|null} value - Date from a sitemap or feed
+ * @returns {string|null} ISO date
+ */
+function toIsoDate(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Article Discovery
+ * Finds blog articles without the listing page's markup: from sitemap.xml
+ * (following sitemap indexes) and the blog's RSS or Atom feed. Articles come
+ * with their lastmod and publish dates, so the latest ones can be chosen by
+ * date and compared with what the listing shows.
+ */
+class ArticleDiscovery {
+  /**
+   * @param {import('@playwright/test').APIRequestContext} request - e.g. page.request
+   * @param {Object} options - Discovery options
+   * @param {string} options.baseURL - Site to discover, e.g. https://www.pointr.tech
+   * @param {string} options.blogPath - Blog listing path, searched for feed links (default /blog)
+   * @param {number} options.timeout - Timeout per request in ms (default 15000)
+   */
+  constructor(request, { baseURL, blogPath = '/blog', timeout = 15000 } = {}) {
+    this.request = request;
+    this.baseURL = baseURL;
+    this.blogPath = blogPath;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Whether a URL is a blog article rather than the listing, a tag or an author page
+   * @param {string} url - URL
+   * @returns {boolean} True for article URLs
+   */
+  static isArticleUrl(url) {
+    try {
+      const { pathname } = new URL(url, 'http://localhost');
+      return ARTICLE_PATTERN.test(pathname) && !NON_ARTICLE_PATTERN.test(pathname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Key identifying an article across origins (live site, fixture server) and URL variants
+   * @param {string} url - Article URL
+   * @returns {string} Lowercase path without trailing slash
+   */
+  static articleKey(url) {
+    const { pathname } = new URL(url, 'http://localhost');
+    return decodeURIComponent(pathname).replace(/\/+$/, '').toLowerCase();
+  }
+
+  /**
+   * Parse a sitemap or sitemap index
+   * @param {string} xml - Sitemap XML
+   * @returns {Object} {pages: [{url, lastmod, published}], sitemaps: [url]}
+   */
+  static parseSitemap(xml) {
+    const pages = [...xml.matchAll(/<url>([\s\S]*?)<\/url>/gi)].map(([, entry]) => ({
+      url: readTag(entry, 'loc'),
+      lastmod: toIsoDate(readTag(entry, 'lastmod')),
+      // Google News sitemaps carry the publish date
+      published: toIsoDate(readTag(entry, 'news:publication_date')),
+    })).filter(page => page.url);
+
+    const sitemaps = [...xml.matchAll(/<sitemap>([\s\S]*?)<\/sitemap>/gi)]
+      .map(([, entry]) => readTag(entry, 'loc'))
+      .filter(Boolean);
+
+    return { pages, sitemaps };
+  }
+
+  /**
+   * Parse an RSS 2.0 or Atom feed
+   * @param {string} xml - Feed XML
+   * @returns {Object} {format: 'rss'|'atom'|null, items: [{url, title, published, updated}]}
+   */
+  static parseFeed(xml) {
+    if (/<rss[\s>]/i.test(xml) || /<rdf:RDF[\s>]/i.test(xml)) {
+      const items = [...xml.matchAll(/<item(?:\s[^>]*)?>([\s\S]*?)<\/item>/gi)].map(([, item]) => {
+        const guid = readTag(item, 'guid');
+        return {
+          url: readTag(item, 'link') || (guid && /^https?:/.test(guid) ? guid : null),
+          title: readTag(item, 'title'),
+          published: toIsoDate(readTag(item, 'pubDate') || readTag(item, 'dc:date')),
+          updated: null,
+        };
+      });
+      return { format: 'rss', items: items.filter(item => item.url) };
+    }
+
+    if (/<feed[\s>]/i.test(xml)) {
+      const items = [...xml.matchAll(/<entry(?:\s[^>]*)?>([\s\S]*?)<\/entry>/gi)].map(([, entry]) => {
+        const links = [...entry.matchAll(/<link\s([^>]*?)\/?>/gi)].map(([, attributes]) => ({
+          href: (attributes.match(/href="([^"]*)"/i) || [])[1],
+          rel: (attributes.match(/rel="([^"]*)"/i) || [])[1] || 'alternate',
+        }));
+        const link = links.find(item => item.rel === 'alternate' && item.href);
+        return {
+          url: link ? decodeXml(link.href) : null,
+          title: readTag(entry, 'title'),
+          published: toIsoDate(readTag(entry, 'published') || readTag(entry, 'issued')),
+          updated: toIsoDate(readTag(entry, 'updated')),
+        };
+      });
+      return { format: 'atom', items: items.filter(item => item.url) };
+    }
+
+    return { format: null, items: [] };
+  }
+
+  /**
+   * Feed URLs advertised by an HTML page through <link rel="alternate">
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - Page URL, for relative links
+   * @returns {Array} Absolute feed URLs
+   */
+  static findFeedLinks(html, pageUrl) {
+    return [...html.matchAll(/<link\s[^>]*>/gi)]
+      .map(([tag]) => tag)
+      .filter(tag => /rel="?alternate"?/i.test(tag) && /type="?application\/(?:rss|atom)\+xml"?/i.test(tag))
+      .map(tag => (tag.match(/href="([^"]+)"/i) || [])[1])
+      .filter(Boolean)
+      .map(href => new URL(decodeXml(href), pageUrl).href);
+  }
+
+  /**
+   * Compare discovered articles with the links scraped from the listing. A crawl
+   * or a feed may stop before the oldest articles, so only articles newer than
+   * the oldest one seen there count as missing from it.
+   * @param {Array} discovered - Articles from discover()
+   * @param {Array} listedUrls - Article URLs from the blog listing
+   * @returns {Object} {missingFromListing: [article], missingFromSitemap: [url], missingFromFeed: [url]}
+   */
+  static crossCheck(discovered, listedUrls) {
+    const dateOf = article => article.published || article.lastmod;
+    const oldest = dates => (dates.length > 0 ? dates.sort()[0] : null);
+    const listedKeys = new Set(listedUrls.map(url => ArticleDiscovery.articleKey(url)));
+    const byKey = new Map(discovered.map(article => [ArticleDiscovery.articleKey(article.url), article]));
+
+    const oldestListed = oldest(listedUrls.map(url => byKey.get(ArticleDiscovery.articleKey(url))).filter(Boolean).map(dateOf).filter(Boolean));
+    const oldestFeedItem = oldest(discovered.filter(article => article.sources.includes('feed')).map(dateOf).filter(Boolean));
+
+    return {
+      missingFromListing: discovered.filter(article => !listedKeys.has(ArticleDiscovery.articleKey(article.url)) &&
+        (!oldestListed || dateOf(article) >= oldestListed)),
+      missingFromSitemap: listedUrls.filter(url => !byKey.get(ArticleDiscovery.articleKey(url))?.sources.includes('sitemap')),
+      missingFromFeed: oldestFeedItem
+        ? listedUrls.filter(url => {
+          const article = byKey.get(ArticleDiscovery.articleKey(url));
+          return article && !article.sources.includes('feed') && dateOf(article) > oldestFeedItem;
+        })
+        : [],
+    };
+  }
+
+  /**
+   * Latest articles by publish date, falling back to lastmod; undated articles come last
+   * @param {Array} articles - Articles from discover()
+   * @param {number} count - Number of articles
+   * @returns {Array} Articles, newest first
+   */
+  static latest(articles, count = 3) {
+    const dateOf = article => article.published || article.lastmod || '';
+    return [...articles].sort((a, b) => dateOf(b).localeCompare(dateOf(a))).slice(0, count);
+  }
+
+  /**
+   * GET a URL relative to the base URL
+   * @param {string} url - URL or path
+   * @returns {Promise<Object>} {url, status, text}; status is null when the request failed
+   */
+  async fetchText(url) {
+    const absolute = new URL(url, this.baseURL).href;
+    try {
+      const response = await this.request.get(absolute, { timeout: this.timeout, failOnStatusCode: false });
+      return { url: absolute, status: response.status(), text: response.ok() ? await response.text() : '' };
+    } catch (error) {
+      return { url: absolute, status: null, text: '', error: error.message.split('\n')[0] };
+    }
+  }
+
+  /**
+   * Sitemaps listed in robots.txt, or /sitemap.xml when it lists none
+   * @returns {Promise<Array>} Sitemap URLs
+   */
+  async findSitemaps() {
+    const robots = await this.fetchText('/robots.txt');
+    const listed = [...robots.text.matchAll(/^\s*sitemap:\s*(\S+)/gim)].map(([, url]) => url);
+    return listed.length > 0 ? listed : [new URL('/sitemap.xml', this.baseURL).href];
+  }
+
+  /**
+   * Feeds linked from the blog listing, or the first common feed path that serves a feed
+   * @returns {Promise<Array>} Feed URLs
+   */
+  async findFeeds() {
+    const listing = await this.fetchText(this.blogPath);
+    const linked = ArticleDiscovery.findFeedLinks(listing.text, listing.url);
+    if (linked.length > 0) return [...new Set(linked)];
+
+    for (const feedPath of FEED_PATHS) {
+      const candidate = await this.fetchText(feedPath);
+      if (ArticleDiscovery.parseFeed(candidate.text).format) return [candidate.url];
+    }
+    return [];
+  }
+
+  /**
+   * Read every page listed in a sitemap, following nested sitemap indexes
+   * @param {string} url - Sitemap URL
+   * @param {Set} visited - Sitemaps already read
+   * @returns {Promise<Object>} {pages, errors}
+   */
+  async readSitemap(url, visited = new Set()) {
+    if (visited.has(url)) return { pages: [], errors: [] };
+    visited.add(url);
+
+    const response = await this.fetchText(url);
+    if (!response.text) {
+      return { pages: [], errors: [`Sitemap ${response.url}: ${response.error || `HTTP ${response.status}`}`] };
+    }
+
+    const { pages, sitemaps } = ArticleDiscovery.parseSitemap(response.text);
+    const errors = [];
+    for (const child of sitemaps) {
+      const nested = await this.readSitemap(new URL(child, response.url).href, visited);
+      pages.push(...nested.pages);
+      errors.push(...nested.errors);
+    }
+    return { pages, errors };
+  }
+
+  /**
+   * Read a feed
+   * @param {string} url - Feed URL
+   * @returns {Promise<Object>} {items, errors}
+   */
+  async readFeed(url) {
+    const response = await this.fetchText(url);
+    const feed = ArticleDiscovery.parseFeed(response.text);
+    if (!feed.format) {
+      const reason = response.error || (response.text ? 'not an RSS or Atom feed' : `HTTP ${response.status}`);
+      return { items: [], errors: [`Feed ${response.url}: ${reason}`] };
+    }
+    return { items: feed.items, errors: [] };
+  }
+
+  /**
+   * Discover blog articles from the sitemaps and feeds
+   * @param {Object} options - Discovery options
+   * @param {Array} options.sitemaps - Sitemap URLs (default: from robots.txt or /sitemap.xml)
+   * @param {Array} options.feeds - Feed URLs (default: linked from the listing or a common path)
+   * @returns {Promise<Object>} {articles: [{url, title, lastmod, published, sources}], sitemaps, feeds, errors}
+   */
+  async discover({ sitemaps, feeds } = {}) {
+    const sitemapUrls = sitemaps || await this.findSitemaps();
+    const feedUrls = feeds || await this.findFeeds();
+    const articles = new Map();
+    const errors = [];
+
+    const addArticle = (source, { url, title = null, lastmod = null, published = null }) => {
+      if (!ArticleDiscovery.isArticleUrl(url)) return;
+      const key = ArticleDiscovery.articleKey(url);
+      const article = articles.get(key) || { url, title: null, lastmod: null, published: null, sources: [] };
+      article.title = article.title || title;
+      article.lastmod = article.lastmod || lastmod;
+      // The feed's publish date wins over a news sitemap's
+      article.published = source === 'feed' ? published || article.published : article.published || published;
+      if (!article.sources.includes(source)) article.sources.push(source);
+      articles.set(key, article);
+    };
+
+    const visited = new Set();
+    for (const sitemapUrl of sitemapUrls) {
+      const result = await this.readSitemap(new URL(sitemapUrl, this.baseURL).href, visited);
+      result.pages.forEach(page => addArticle('sitemap', page));
+      errors.push(...result.errors);
+    }
+
+    for (const feedUrl of feedUrls) {
+      const result = await this.readFeed(feedUrl);
+      result.items.forEach(item => addArticle('feed', { url: item.url, title: item.title, published: item.published || item.updated }));
+      errors.push(...result.errors);
+    }
+
+    return { articles: [...articles.values()], sitemaps: sitemapUrls, feeds: feedUrls, errors };
+  }
+}
+
+ArticleDiscovery.FEED_PATHS = FEED_PATHS;
+
+module.exports = ArticleDiscovery;
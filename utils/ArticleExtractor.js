@@ -0,0 +1,113 @@
+const ArticlePage = require('../pages/ArticlePage');
+const TestHelpers = require('./TestHelpers');
+
+/**
+ * Article Extractor
+ * Extracts a list of articles on several pages of one browser context at
+ * once. Each page takes the next URL from a shared queue until all are done.
+ * Articles the extraction cache knows to be unchanged skip the browser, failed
+ * articles come back with an `error` instead of stopping the others, and
+ * every result can be handed to an ArticleAggregator. Used by the
+ * extractArticles() fixture and the word analysis CLI.
+ */
+class ArticleExtractor {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context - Context the pages are opened in
+   * @param {Object} options - Extractor options
+   * @param {ExtractionCache} options.cache - Extraction cache, or null to always use the browser
+   * @param {ArticleAggregator} options.aggregator - Aggregator receiving every result, or null
+   * @param {Function} options.screenshotName - index => screenshot name after a browser extraction, or null
+   * @param {Function} options.log - (message, status, fields) step logger (default TestHelpers.logStep)
+   */
+  constructor(context, { cache = null, aggregator = null, screenshotName = null, log = TestHelpers.logStep } = {}) {
+    this.context = context;
+    this.cache = cache;
+    this.aggregator = aggregator;
+    this.screenshotName = screenshotName;
+    this.log = log;
+    this.pages = [];
+  }
+
+  /**
+   * Extract articles. Each result's `cache` says 'hit', 'miss' or 'refresh'
+   * when the cache is on.
+   * @param {Array} urls - Article URLs
+   * @param {Object} options - Extraction options
+   * @param {number} options.concurrency - Pages used side by side (default 3)
+   * @param {number} options.indexOffset - Added to the 1-based article index, for shards (default 0)
+   * @returns {Promise<Array>} Results in URL order, failed articles included
+   */
+  async extract(urls, { concurrency = 3, indexOffset = 0 } = {}) {
+    const queue = urls.map((url, position) => ({ url, position }));
+    const results = new Array(urls.length);
+
+    const runQueue = async () => {
+      const page = await this.context.newPage();
+      this.pages.push(page);
+      const articlePage = new ArticlePage(page);
+
+      while (queue.length > 0) {
+        const { url, position } = queue.shift();
+        const index = indexOffset + position + 1;
+        results[position] = await this.extractOne(articlePage, url, index);
+        if (this.aggregator) await this.aggregator.add(results[position]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, runQueue));
+    return results;
+  }
+
+  /**
+   * Extract one article, from the cache when it is unchanged
+   * @param {ArticlePage} articlePage - Page object to extract with
+   * @param {string} url - Article URL
+   * @param {number} index - 1-based article index
+   * @returns {Promise<Object>} Article with index and cache status, or an error result
+   */
+  async extractOne(articlePage, url, index) {
+    const fields = { articleIndex: index };
+    this.log(`Processing article ${index}: ${url}`, 'INFO', fields);
+
+    const cached = this.cache ? await this.cache.lookup(articlePage.page.request, url) : null;
+    const cache = cached?.status;
+
+    try {
+      if (cached?.article) {
+        const result = { ...cached.article, index, cache };
+        this.log(`Article unchanged, using cached extraction: "${result.title}"`, 'INFO', fields);
+        return result;
+      }
+
+      const article = await articlePage.extractArticle(url);
+      const result = { ...article, index, cache };
+      this.log(`Extracted article: "${result.title}" by ${result.author}`, 'INFO', fields);
+      this.log(`Article text length: ${result.text.length} characters`, 'INFO', fields);
+      if (this.screenshotName) await articlePage.takeScreenshot(this.screenshotName(index));
+      if (cached?.validators) await this.cache.set(url, article, cached.validators);
+      return result;
+    } catch (error) {
+      this.log(`Error processing article ${index}: ${error.message}`, 'FAIL', fields);
+      // Continue with other articles even if one fails
+      return {
+        title: `Article ${index} (Error)`,
+        url,
+        text: '',
+        author: 'Unknown',
+        date: 'Unknown',
+        index,
+        cache,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Close the pages opened for extraction
+   */
+  async close() {
+    await Promise.all(this.pages.splice(0).map(page => page.close()));
+  }
+}
+
+module.exports = ArticleExtractor;
@@ -0,0 +1,175 @@
+// Severities from least to most severe
+const SEVERITIES = ['info', 'warning', 'error'];
+const RULE_TYPES = ['required', 'forbidden', 'preferred'];
+// Article fields the rules run over, as extracted by ArticlePage
+const FIELDS = ['title', 'text'];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Brand Rules
+ * Checks article text against a brand glossary: terms that must appear,
+ * terms that must not, and terms with a preferred spelling or capitalization.
+ * Text is matched as written, never lowercased, so "pointr" and "Pointr" can
+ * be told apart. Violations carry a severity and the text around the match.
+ */
+class BrandRules {
+  /**
+   * @param {Object} config - Glossary, see config/brand-rules.js
+   * @param {Array} config.rules - Rules of {id, type, pattern, replacement, severity, message, ignoreCase}
+   * @param {string} config.failOn - Lowest severity that fails an article (default 'error')
+   * @param {number} config.contextLength - Characters of context on each side of a match (default 40)
+   * @throws {Error} When a rule is invalid
+   */
+  constructor({ rules = [], failOn = 'error', contextLength = 40 } = {}) {
+    if (!SEVERITIES.includes(failOn)) {
+      throw new Error(`failOn must be one of ${SEVERITIES.join(', ')}, got "${failOn}"`);
+    }
+    this.failOn = failOn;
+    this.contextLength = contextLength;
+    this.rules = rules.map((rule, index) => BrandRules.compileRule(rule, index));
+  }
+
+  /**
+   * Validate a rule and compile its patterns
+   * @param {Object} rule - Rule from the config
+   * @param {number} index - Position of the rule, for error messages
+   * @returns {Object} Rule with a `patterns` array of global regular expressions
+   * @throws {Error} When the rule is invalid
+   */
+  static compileRule(rule, index = 0) {
+    const id = rule.id || `rule-${index + 1}`;
+    if (!RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Rule ${id}: type must be one of ${RULE_TYPES.join(', ')}, got "${rule.type}"`);
+    }
+    const severity = rule.severity || 'error';
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Rule ${id}: severity must be one of ${SEVERITIES.join(', ')}, got "${severity}"`);
+    }
+    if (rule.type === 'preferred' && typeof rule.replacement !== 'string') {
+      throw new Error(`Rule ${id}: preferred rules need a replacement`);
+    }
+
+    const sources = [].concat(rule.pattern ?? []);
+    if (sources.length === 0) {
+      throw new Error(`Rule ${id}: pattern is missing`);
+    }
+
+    return {
+      ...rule,
+      id,
+      severity,
+      patterns: sources.map(source => BrandRules.compilePattern(source, { ignoreCase: rule.ignoreCase !== false })),
+    };
+  }
+
+  /**
+   * Turn a plain string or regular expression into a global regular expression.
+   * Plain strings match as whole words, in any case unless ignoreCase is false;
+   * regular expressions keep their own flags.
+   * @param {string|RegExp} pattern - Term or regular expression
+   * @param {Object} options - {ignoreCase} for plain strings
+   * @returns {RegExp} Global regular expression
+   */
+  static compilePattern(pattern, { ignoreCase = true } = {}) {
+    if (pattern instanceof RegExp) {
+      return pattern.global ? new RegExp(pattern.source, pattern.flags) : new RegExp(pattern.source, `${pattern.flags}g`);
+    }
+    // Letter and digit lookarounds instead of \b, which only knows ASCII words
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(String(pattern))}(?![\\p{L}\\p{N}])`, ignoreCase ? 'giu' : 'gu');
+  }
+
+  /**
+   * Whether a severity is at least as severe as another
+   * @param {string} severity - Severity to test
+   * @param {string} threshold - Severity to compare with
+   * @returns {boolean} True if severity >= threshold
+   */
+  static meetsSeverity(severity, threshold) {
+    return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(threshold);
+  }
+
+  /**
+   * Text around a match, whitespace collapsed
+   * @param {string} text - Text the match was found in
+   * @param {number} index - Start of the match
+   * @param {number} length - Length of the match
+   * @returns {string} Context
+   */
+  getContext(text, index, length) {
+    const start = Math.max(0, index - this.contextLength);
+    const end = Math.min(text.length, index + length + this.contextLength);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Find every match of a rule in a text
+   * @param {Object} rule - Compiled rule
+   * @param {string} text - Text to search
+   * @returns {Array} Matches of {match, index}, in text order
+   */
+  static findMatches(rule, text) {
+    return rule.patterns
+      .flatMap(pattern => Array.from(text.matchAll(pattern), match => ({ match: match[0], index: match.index })))
+      .filter(item => item.match.length > 0)
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Check an article against every rule
+   * @param {Object} article - Article from ArticlePage.extractArticle(), with url, title and text
+   * @returns {Object} {url, title, passed, summary, violations}; passed is false when a
+   *   violation reaches the failOn severity
+   */
+  check(article) {
+    const violations = [];
+
+    this.rules.forEach(rule => {
+      const found = FIELDS.flatMap(field => BrandRules.findMatches(rule, article[field] || '').map(item => ({ ...item, field })));
+      const base = { rule: rule.id, type: rule.type, severity: rule.severity };
+
+      if (rule.type === 'required') {
+        if (found.length === 0) {
+          violations.push({
+            ...base,
+            message: rule.message || `Required term not found: ${[].concat(rule.pattern).map(String).join(' or ')}`,
+            field: null,
+            match: null,
+            context: null,
+          });
+        }
+        return;
+      }
+
+      found
+        // A preferred term written the preferred way is fine
+        .filter(item => rule.type === 'forbidden' || item.match !== rule.replacement)
+        .forEach(({ match, index, field }) => violations.push({
+          ...base,
+          message: rule.message || (rule.type === 'forbidden' ? `Forbidden term "${match}"` : `"${match}" should be "${rule.replacement}"`),
+          field,
+          match,
+          ...(rule.type === 'preferred' ? { replacement: rule.replacement } : {}),
+          index,
+          context: this.getContext(article[field], index, match.length),
+        }));
+    });
+
+    const summary = Object.fromEntries(SEVERITIES.map(severity => [severity, violations.filter(item => item.severity === severity).length]));
+    const failing = violations.filter(item => BrandRules.meetsSeverity(item.severity, this.failOn));
+
+    return {
+      url: article.url,
+      title: article.title,
+      passed: failing.length === 0,
+      failOn: this.failOn,
+      summary: { ...summary, failing: failing.length },
+      violations,
+    };
+  }
+}
+
+BrandRules.SEVERITIES = SEVERITIES;
+BrandRules.RULE_TYPES = RULE_TYPES;
+
+module.exports = BrandRules;
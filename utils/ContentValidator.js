@@ -0,0 +1,189 @@
+// Text that should never reach a published article
+const PLACEHOLDER_PATTERNS = [
+  /\blorem ipsum\b/i,
+  /\bdolor sit amet\b/i,
+  /\bconsectetur adipiscing\b/i,
+  /\b(?:placeholder|dummy|sample) text\b/i,
+  /\b(?:insert|add|your) (?:text|content|title|image) here\b/i,
+  /\[(?:insert|todo|tbd|placeholder)[^\]]*\]/i,
+  /\{\{\s*[\w.]+\s*\}\}/, // Unrendered template variables
+  /\b(?:TODO|TBD|FIXME)\b/,
+];
+
+/**
+ * Content Validator
+ * Turns raw link, image, heading and text data collected from an article page
+ * into a per-article report of issues. Errors fail the article, warnings don't.
+ */
+class ContentValidator {
+  /**
+   * Check link results for broken targets
+   * @param {Array} links - Results of ArticlePage.checkLinks()
+   * @returns {Object} {checked, skipped, broken, issues}
+   */
+  static checkLinks(links = []) {
+    const broken = links.filter(link => !link.skipped && (link.status === null || link.status >= 400));
+
+    return {
+      checked: links.filter(link => !link.skipped).length,
+      skipped: links.filter(link => link.skipped).length,
+      broken,
+      issues: broken.map(link => ({
+        check: 'links',
+        severity: 'error',
+        message: link.status === null
+          ? `Link could not be reached: ${link.error || 'no response'}`
+          : `Link returned HTTP ${link.status}`,
+        target: link.url,
+      })),
+    };
+  }
+
+  /**
+   * Check images for failed loads and missing alt text
+   * @param {Array} images - Results of ArticlePage.getImages()
+   * @returns {Object} {checked, broken, missingAlt, issues}
+   */
+  static checkImages(images = []) {
+    const broken = images.filter(image => !image.complete || image.naturalWidth === 0 || image.naturalHeight === 0);
+    const missingAlt = images.filter(image => image.alt === null);
+    // alt="" marks an image as decorative, which is valid but worth a second look
+    const emptyAlt = images.filter(image => image.alt !== null && image.alt.trim() === '');
+
+    return {
+      checked: images.length,
+      broken,
+      missingAlt,
+      issues: [
+        ...broken.map(image => ({
+          check: 'images',
+          severity: 'error',
+          message: 'Image did not load or has zero natural size',
+          target: image.src,
+        })),
+        ...missingAlt.map(image => ({
+          check: 'images',
+          severity: 'error',
+          message: 'Image has no alt attribute',
+          target: image.src,
+        })),
+        ...emptyAlt.map(image => ({
+          check: 'images',
+          severity: 'warning',
+          message: 'Image has an empty alt attribute (decorative)',
+          target: image.src,
+        })),
+      ],
+    };
+  }
+
+  /**
+   * Check the heading outline: exactly one h1 and no skipped levels
+   * @param {Object} outline - Result of ArticlePage.getHeadingOutline()
+   * @returns {Object} {h1Count, skipped, issues}
+   */
+  static checkHeadings({ h1Count = 0, headings = [] } = {}) {
+    const issues = [];
+
+    if (h1Count !== 1) {
+      issues.push({
+        check: 'headings',
+        severity: 'error',
+        message: `Page has ${h1Count} h1 elements, expected exactly 1`,
+        target: null,
+      });
+    }
+
+    // A heading may go any number of levels up, but only one level down
+    const skipped = [];
+    headings.forEach((heading, index) => {
+      const previousLevel = index > 0 ? headings[index - 1].level : 1;
+      if (heading.level > previousLevel + 1) {
+        skipped.push({ ...heading, previousLevel });
+      }
+    });
+
+    skipped.forEach(heading => issues.push({
+      check: 'headings',
+      severity: 'error',
+      message: `h${heading.level} follows h${heading.previousLevel}, skipping a level`,
+      target: heading.text,
+    }));
+
+    return { h1Count, skipped, issues };
+  }
+
+  /**
+   * Find placeholder or lorem ipsum text
+   * @param {string} text - Article text
+   * @param {Array} patterns - Regular expressions to look for
+   * @returns {Object} {matches, issues}
+   */
+  static findPlaceholders(text = '', patterns = PLACEHOLDER_PATTERNS) {
+    const matches = [];
+
+    patterns.forEach(pattern => {
+      const match = text.match(pattern);
+      if (match) {
+        const start = Math.max(0, match.index - 30);
+        matches.push({
+          pattern: pattern.source,
+          match: match[0],
+          context: text.slice(start, match.index + match[0].length + 30).replace(/\s+/g, ' ').trim(),
+        });
+      }
+    });
+
+    return {
+      matches,
+      issues: matches.map(item => ({
+        check: 'placeholders',
+        severity: 'error',
+        message: `Placeholder text found: "${item.match}"`,
+        target: item.context,
+      })),
+    };
+  }
+
+  /**
+   * Run every check and assemble the per-article report
+   * @param {Object} data - Collected page data
+   * @param {string} data.url - Article URL
+   * @param {string} data.title - Article title
+   * @param {Array} data.links - Link check results
+   * @param {Array} data.images - Image data
+   * @param {Object} data.outline - Heading outline
+   * @param {string} data.text - Article text
+   * @returns {Object} Report with per-check results, issues and a passed flag
+   */
+  static buildReport({ url, title, links, images, outline, text }) {
+    const checks = {
+      links: ContentValidator.checkLinks(links),
+      images: ContentValidator.checkImages(images),
+      headings: ContentValidator.checkHeadings(outline),
+      placeholders: ContentValidator.findPlaceholders(text),
+    };
+    const issues = Object.values(checks).flatMap(check => check.issues);
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+
+    return {
+      url,
+      title,
+      checkedAt: new Date().toISOString(),
+      passed: errors === 0,
+      summary: {
+        errors,
+        warnings: issues.length - errors,
+        linksChecked: checks.links.checked,
+        imagesChecked: checks.images.checked,
+        headings: outline ? outline.headings.length : 0,
+      },
+      checks,
+      issues,
+    };
+  }
+}
+
+ContentValidator.PLACEHOLDER_PATTERNS = PLACEHOLDER_PATTERNS;
+
+module.exports = ContentValidator;
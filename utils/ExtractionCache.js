@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const path = require('path');
+const TestHelpers = require('./TestHelpers');
+
+// Bumped whenever ArticlePage.extractArticle() changes what it returns, so older entries count as misses
+const EXTRACTION_VERSION = 2;
+
+/**
+ * Extraction Cache
+ * Extracted article text and metadata on disk, one file per article URL,
+ * stored with the ETag, Last-Modified and content hash of the response it was
+ * extracted from. lookup() asks the server whether the article changed and
+ * hands back the cached article when it did not, so the browser can skip it.
+ */
+class ExtractionCache {
+  /**
+   * @param {string} directory - Cache directory
+   * @param {Object} options - Cache options
+   * @param {boolean} options.refresh - Ignore cached articles, but still store fresh ones
+   * @param {number} options.timeout - Timeout of the validation request in ms
+   */
+  constructor(directory = '.cache/articles', { refresh = false, timeout = 15000 } = {}) {
+    this.directory = directory;
+    this.refresh = refresh;
+    this.timeout = timeout;
+  }
+
+  /**
+   * SHA-256 hash of a string
+   * @param {string} content - Content to hash
+   * @returns {string} Hex digest
+   */
+  static hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Whether stored validators still describe the current response. The ETag
+   * decides when both have one, then Last-Modified, then the content hash.
+   * @param {Object} cached - Validators stored with the article
+   * @param {Object} current - Validators of the current response
+   * @returns {boolean} True if the article is unchanged
+   */
+  static isUnchanged(cached, current) {
+    if (cached.etag && current.etag) return cached.etag === current.etag;
+    if (cached.lastModified && current.lastModified) return cached.lastModified === current.lastModified;
+    return Boolean(cached.contentHash) && cached.contentHash === current.contentHash;
+  }
+
+  /**
+   * Cache file of an article URL
+   * @param {string} url - Article URL
+   * @returns {string} File path
+   */
+  getPath(url) {
+    return path.join(this.directory, `${ExtractionCache.hash(url).slice(0, 32)}.json`);
+  }
+
+  /**
+   * Read the cache entry of an article URL
+   * @param {string} url - Article URL
+   * @returns {Promise<Object|null>} {version, url, cachedAt, validators, article}, or null when
+   *   there is none or it was written by another extraction version
+   */
+  async get(url) {
+    const filePath = this.getPath(url);
+    if (!(await TestHelpers.fileExists(filePath))) return null;
+
+    try {
+      const entry = JSON.parse(await TestHelpers.readFile(filePath));
+      return entry.url === url && entry.version === EXTRACTION_VERSION ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Store an extracted article with the validators returned by lookup()
+   * @param {string} url - Article URL
+   * @param {Object} article - Extracted article
+   * @param {Object} validators - {etag, lastModified, contentHash}
+   */
+  async set(url, article, validators) {
+    const entry = { version: EXTRACTION_VERSION, url, cachedAt: new Date().toISOString(), validators, article };
+    await TestHelpers.saveToFileAtomic(this.getPath(url), JSON.stringify(entry));
+  }
+
+  /**
+   * Check whether an article changed since it was cached. Sends a conditional
+   * GET; a 304, or a 200 with the same validators, is a hit.
+   * @param {import('@playwright/test').APIRequestContext} request - e.g. page.request
+   * @param {string} url - Article URL
+   * @returns {Promise<Object>} {status: 'hit'|'miss'|'refresh', article, validators};
+   *   article is set on a hit, validators whenever the response could be validated
+   */
+  async lookup(request, url) {
+    const entry = this.refresh ? null : await this.get(url);
+    const headers = {};
+    if (entry?.validators.etag) headers['If-None-Match'] = entry.validators.etag;
+    if (entry?.validators.lastModified) headers['If-Modified-Since'] = entry.validators.lastModified;
+
+    let validators = null;
+    try {
+      const response = await request.get(url, { headers, timeout: this.timeout, failOnStatusCode: false });
+
+      if (response.status() === 304 && entry) {
+        return { status: 'hit', article: entry.article, validators: entry.validators };
+      }
+
+      if (response.ok()) {
+        const responseHeaders = response.headers();
+        validators = {
+          etag: responseHeaders['etag'] || null,
+          lastModified: responseHeaders['last-modified'] || null,
+          contentHash: ExtractionCache.hash(await response.text()),
+        };
+
+        if (entry && ExtractionCache.isUnchanged(entry.validators, validators)) {
+          return { status: 'hit', article: entry.article, validators };
+        }
+      }
+    } catch (error) {
+      // The browser gets to report why the article can't be loaded
+      console.error(`Error validating cached article ${url}:`, error.message);
+    }
+
+    return { status: this.refresh ? 'refresh' : 'miss', article: null, validators };
+  }
+}
+
+ExtractionCache.EXTRACTION_VERSION = EXTRACTION_VERSION;
+
+module.exports = ExtractionCache;
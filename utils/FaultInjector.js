@@ -0,0 +1,152 @@
+// Third-party hosts that are safe to lose: analytics, tag managers, chat widgets and web fonts
+const THIRD_PARTY_HOSTS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'doubleclick.net',
+  'hotjar.com',
+  'hs-analytics.net',
+  'hs-scripts.com',
+  'hubspot.com',
+  'linkedin.com',
+  'facebook.net',
+  'clarity.ms',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com',
+  'use.typekit.net',
+];
+
+/**
+ * Named fault scenarios. Each one builds a route handler from its options;
+ * 'offline' works on the browser context instead of routes.
+ */
+const SCENARIOS = {
+  // Delay matching responses, then let them through unchanged
+  slow: ({ delay = 3000 } = {}) => ({
+    resourceTypes: ['document'],
+    handle: async route => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      await route.continue();
+      return `delayed ${delay}ms`;
+    },
+  }),
+
+  // Answer matching requests with a server error
+  'server-error': ({ status = 503 } = {}) => ({
+    resourceTypes: ['document'],
+    handle: async route => {
+      // Plain text only, so no page object mistakes the error page for content
+      await route.fulfill({ status, contentType: 'text/plain', body: `HTTP ${status}` });
+      return `fulfilled ${status}`;
+    },
+  }),
+
+  // Abort analytics, tag manager and font requests
+  'blocked-third-party': ({ hosts = THIRD_PARTY_HOSTS } = {}) => ({
+    resourceTypes: null,
+    accept: request => request.resourceType() === 'font' ||
+      hosts.some(host => new URL(request.url()).hostname.endsWith(host)),
+    handle: async route => {
+      await route.abort('blockedbyclient');
+      return 'blocked';
+    },
+  }),
+
+  // Serve only the first part of the HTML, as if the connection dropped mid-response
+  'truncated-html': ({ ratio = 0.3 } = {}) => ({
+    resourceTypes: ['document'],
+    handle: async route => {
+      const response = await route.fetch();
+      const body = await response.text();
+      await route.fulfill({ response, body: body.slice(0, Math.floor(body.length * ratio)) });
+      return `truncated to ${Math.round(ratio * 100)}%`;
+    },
+  }),
+
+  offline: () => ({ offline: true }),
+};
+
+/**
+ * Fault Injector
+ * Applies named network fault scenarios to a page through page.route so page
+ * objects can be tested against slow, failing, partial or missing responses.
+ * Every request a scenario touches is logged in `affected`.
+ */
+class FaultInjector {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page
+   */
+  constructor(page) {
+    this.page = page;
+    this.routes = [];
+    this.offline = false;
+    this.affected = [];
+  }
+
+  /**
+   * Apply a scenario. Several scenarios can be active at once.
+   * @param {string} name - Scenario name from FaultInjector.SCENARIOS
+   * @param {Object} options - Scenario options
+   * @param {string|RegExp|Function} options.url - URL pattern for page.route (default all URLs)
+   * @param {Array} options.resourceTypes - Resource types to affect (default per scenario)
+   * @param {number} options.times - Only affect this many requests, e.g. 1 for a transient fault
+   * @param {number} options.delay - 'slow': delay in ms (default 3000)
+   * @param {number} options.status - 'server-error': HTTP status (default 503)
+   * @param {Array} options.hosts - 'blocked-third-party': host suffixes to block
+   * @param {number} options.ratio - 'truncated-html': share of the body to keep (default 0.3)
+   */
+  async apply(name, { url = '**/*', resourceTypes, times = Infinity, ...options } = {}) {
+    const scenario = SCENARIOS[name];
+    if (!scenario) {
+      throw new Error(`Unknown fault scenario "${name}", expected one of ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+
+    const { offline, handle, accept, resourceTypes: defaultTypes } = scenario(options);
+    if (offline) {
+      await this.page.context().setOffline(true);
+      this.offline = true;
+      return;
+    }
+
+    const types = resourceTypes === undefined ? defaultTypes : resourceTypes;
+    let remaining = times;
+    const handler = async (route, request) => {
+      const matches = (!types || types.includes(request.resourceType())) && (!accept || accept(request));
+      if (!matches || remaining <= 0) {
+        await route.fallback();
+        return;
+      }
+      remaining--;
+      let action;
+      try {
+        action = await handle(route, request);
+      } catch (error) {
+        // The page navigated away or closed while the fault was pending
+        action = `interrupted: ${error.message.split('\n')[0]}`;
+      }
+      this.affected.push({ scenario: name, url: request.url(), resourceType: request.resourceType(), action });
+    };
+
+    await this.page.route(url, handler);
+    this.routes.push({ url, handler });
+  }
+
+  /**
+   * Remove every active scenario
+   */
+  async clear() {
+    for (const { url, handler } of this.routes) {
+      await this.page.unroute(url, handler);
+    }
+    this.routes = [];
+
+    if (this.offline) {
+      await this.page.context().setOffline(false);
+      this.offline = false;
+    }
+  }
+}
+
+FaultInjector.SCENARIOS = SCENARIOS;
+FaultInjector.THIRD_PARTY_HOSTS = THIRD_PARTY_HOSTS;
+
+module.exports = FaultInjector;
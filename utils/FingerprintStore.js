@@ -0,0 +1,66 @@
+const TestHelpers = require('./TestHelpers');
+const ArticleDiscovery = require('./ArticleDiscovery');
+
+/**
+ * Fingerprint Store
+ * Article fingerprints from SimilarityAnalyzer in one JSON file, one entry
+ * per article path, so a newly published article can be checked against
+ * every article seen before. Saving replaces the entries of re-fingerprinted
+ * articles and keeps the rest. Saving reads and rewrites the whole file, so
+ * writers running at the same time need a file each.
+ */
+class FingerprintStore {
+  /**
+   * @param {string} filePath - JSON file holding the fingerprints
+   */
+  constructor(filePath = 'test-results/history/article-fingerprints.json') {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Key of an article in the store; the same article served from another origin shares it
+   * @param {string} url - Article URL
+   * @returns {string} Key
+   */
+  static keyOf(url) {
+    return ArticleDiscovery.articleKey(url);
+  }
+
+  /**
+   * Read the stored fingerprints
+   * @returns {Promise<Array>} Fingerprints, empty when there is no (readable) store yet
+   */
+  async readAll() {
+    if (!(await TestHelpers.fileExists(this.filePath))) return [];
+
+    try {
+      const content = JSON.parse(await TestHelpers.readFile(this.filePath));
+      return Object.values(content.fingerprints || {});
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Store fingerprints, replacing earlier ones of the same articles
+   * @param {Array} fingerprints - Fingerprints from SimilarityAnalyzer.fingerprint()
+   * @returns {Promise<number>} Number of articles in the store
+   */
+  async save(fingerprints) {
+    const stored = {};
+    (await this.readAll()).forEach(fingerprint => {
+      stored[FingerprintStore.keyOf(fingerprint.url)] = fingerprint;
+    });
+
+    const fingerprintedAt = new Date().toISOString();
+    // Tokens are only needed to quote passages of the article being checked
+    fingerprints.forEach(({ tokens, shingleSequence, ...fingerprint }) => {
+      stored[FingerprintStore.keyOf(fingerprint.url)] = { ...fingerprint, fingerprintedAt };
+    });
+
+    await TestHelpers.saveToFileAtomic(this.filePath, JSON.stringify({ updatedAt: fingerprintedAt, fingerprints: stored }));
+    return Object.keys(stored).length;
+  }
+}
+
+module.exports = FingerprintStore;
@@ -0,0 +1,250 @@
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const TestHelpers = require('./TestHelpers');
+
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(javascript|json|xml|rss\+xml|atom\+xml|ld\+json)|image\/svg\+xml)/;
+const HOP_BY_HOP_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection'];
+// Requests to other origins arrive here as /__fixtures/external?url=<absolute URL>
+const EXTERNAL_PATH = '/__fixtures/external';
+
+/**
+ * Fixture Server
+ * Local stand-in for the Pointr website. In record mode it proxies every
+ * request to the live origin and snapshots the response into a fixtures
+ * directory; in replay mode it serves those snapshots without the network.
+ * Assets from other origins (CDN scripts, fonts, images) are snapshotted too:
+ * routeExternal() sends the browser's off-origin requests through the
+ * server, and replay answers unrecorded ones with 404 instead of the network.
+ */
+class FixtureServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {string} options.origin - Live origin to record from
+   * @param {string} options.fixturesDir - Directory holding the snapshots
+   * @param {string} options.mode - 'record' or 'replay'
+   * @param {number} options.port - Port to listen on
+   */
+  constructor({ origin = 'https://www.pointr.tech', fixturesDir = 'fixtures/pointr', mode = 'replay', port = 4173 } = {}) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Unknown fixture server mode: ${mode}`);
+    }
+
+    this.origin = origin.replace(/\/$/, '');
+    this.fixturesDir = fixturesDir;
+    this.mode = mode;
+    this.port = port;
+    this.manifestPath = path.join(fixturesDir, 'manifest.json');
+    this.manifest = { origin: this.origin, entries: {} };
+    this.manifestWrite = Promise.resolve();
+    this.server = null;
+  }
+
+  /**
+   * Send a browser context's requests to other origins through a fixture server,
+   * so record mode snapshots them and replay mode serves them offline
+   * @param {import('@playwright/test').BrowserContext} context - Context to route
+   * @param {string} serverURL - Base URL of the running fixture server
+   * @returns {Promise<void>}
+   */
+  static async routeExternal(context, serverURL) {
+    const server = new URL(serverURL);
+    await context.route(url => url.origin !== server.origin && /^https?:$/.test(url.protocol), async route => {
+      const url = new URL(EXTERNAL_PATH, server);
+      url.searchParams.set('url', route.request().url());
+      await route.fulfill({ response: await route.fetch({ url: url.href }) });
+    });
+  }
+
+  /**
+   * Load the manifest and start listening
+   * @returns {Promise<string>} Base URL of the running server
+   */
+  async start() {
+    if (await TestHelpers.fileExists(this.manifestPath)) {
+      this.manifest = JSON.parse(await TestHelpers.readFile(this.manifestPath));
+    } else if (this.mode === 'replay') {
+      throw new Error(`No fixtures recorded in ${this.fixturesDir}; run with BLOG_SOURCE=record first`);
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        TestHelpers.logStep(`Fixture server error for ${req.url}: ${error.message}`, 'FAIL');
+        res.writeHead(502, { 'content-type': 'text/plain' });
+        res.end(`Fixture server error: ${error.message}`);
+      });
+    });
+
+    await new Promise(resolve => this.server.listen(this.port, resolve));
+    // Port 0 picks a free port
+    this.port = this.server.address().port;
+    TestHelpers.logStep(`Fixture server (${this.mode}) listening on http://localhost:${this.port}`, 'INFO');
+    return `http://localhost:${this.port}`;
+  }
+
+  /**
+   * Stop the server and flush pending manifest writes
+   */
+  async stop() {
+    await this.manifestWrite;
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Serve a request from the snapshots, recording it first if needed
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Outgoing response
+   */
+  async handleRequest(req, res) {
+    if (req.url === '/__fixtures/health') {
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      res.end(this.mode);
+      return;
+    }
+
+    const key = this.getManifestKey(req.url);
+    if (!key) {
+      res.writeHead(400, { 'content-type': 'text/plain' });
+      res.end(`${EXTERNAL_PATH} needs a url parameter`);
+      return;
+    }
+
+    let entry = this.manifest.entries[key];
+    if (!entry && this.mode === 'record') {
+      entry = await this.record(key);
+    }
+
+    if (!entry) {
+      res.writeHead(404, { 'content-type': 'text/plain' });
+      res.end(`No fixture recorded for ${key}`);
+      return;
+    }
+
+    const headers = { ...entry.headers };
+    const body = entry.file
+      ? await fs.readFile(path.join(this.fixturesDir, entry.file))
+      : Buffer.alloc(0);
+
+    res.writeHead(entry.status, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * Manifest key of a request: its path and query, or the absolute URL of an
+   * external request
+   * @param {string} requestUrl - URL of the request to this server
+   * @returns {string|null} Manifest key, or null for an external request without a url
+   */
+  getManifestKey(requestUrl) {
+    if (requestUrl !== EXTERNAL_PATH && !requestUrl.startsWith(`${EXTERNAL_PATH}?`)) {
+      return requestUrl;
+    }
+    return new URLSearchParams(requestUrl.slice(EXTERNAL_PATH.length + 1)).get('url');
+  }
+
+  /**
+   * Fetch a path from the live origin, or an external URL, and store it as a fixture
+   * @param {string} key - Path and query on the live origin, or an absolute external URL
+   * @returns {Promise<Object>} Manifest entry for the recorded response
+   */
+  async record(key) {
+    const external = !key.startsWith('/');
+    const response = await fetch(external ? key : `${this.origin}${key}`, { redirect: 'manual' });
+    const headers = {};
+
+    response.headers.forEach((value, name) => {
+      if (!HOP_BY_HOP_HEADERS.includes(name) && !name.startsWith('set-cookie')) {
+        headers[name] = name === 'location' && !external ? this.rewriteOrigin(value) : value;
+      }
+    });
+
+    let body = Buffer.from(await response.arrayBuffer());
+    // External assets keep their URLs: the browser resolves them against the external origin
+    if (!external && TEXT_CONTENT_TYPE.test(headers['content-type'] || '')) {
+      body = Buffer.from(this.rewriteOrigin(body.toString('utf8')), 'utf8');
+    }
+
+    const entry = { status: response.status, headers, file: null };
+    if (body.length > 0) {
+      entry.file = this.getFixtureFileName(key, headers['content-type']);
+      await TestHelpers.ensureDirectory(path.join(this.fixturesDir, path.dirname(entry.file)));
+      await fs.writeFile(path.join(this.fixturesDir, entry.file), body);
+    }
+
+    this.manifest.entries[key] = entry;
+    this.manifest.recordedAt = new Date().toISOString();
+    await this.saveManifest();
+
+    TestHelpers.logStep(`Recorded ${key} (${response.status})`, 'INFO');
+    return entry;
+  }
+
+  /**
+   * Make links to the live origin relative so they resolve to this server
+   * @param {string} content - Text content
+   * @returns {string} Content with origin URLs rewritten
+   */
+  rewriteOrigin(content) {
+    const host = new URL(this.origin).host;
+    const escapedHost = host.replace(/\./g, '\\.');
+
+    return content
+      .replace(new RegExp(`https?:\\/\\/${escapedHost}`, 'g'), '')
+      .replace(new RegExp(`https?:\\\\/\\\\/${escapedHost}`, 'g'), '')
+      .replace(new RegExp(`(["'(])\\/\\/${escapedHost}`, 'g'), '$1');
+  }
+
+  /**
+   * Build a stable, filesystem-safe file name for a request path
+   * @param {string} key - Path and query of the request, or an absolute external URL
+   * @param {string} contentType - Response content type
+   * @returns {string} File name relative to the fixtures directory; external
+   *   assets go under files/external/<host>/
+   */
+  getFixtureFileName(key, contentType = '') {
+    const { host, pathname } = new URL(key, this.origin);
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+    const slug = pathname.replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9._-]+/g, '_') || 'index';
+    const extension = path.extname(slug) ? '' : contentType.includes('html') ? '.html' : '';
+    const directory = key.startsWith('/') ? 'files' : path.join('files', 'external', host.replace(/[^a-zA-Z0-9.-]+/g, '_'));
+
+    return path.join(directory, `${slug.slice(0, 80)}-${hash}${extension}`);
+  }
+
+  /**
+   * Persist the manifest, serializing concurrent writes
+   * @returns {Promise<void>}
+   */
+  saveManifest() {
+    this.manifestWrite = this.manifestWrite.then(() =>
+      TestHelpers.saveToFile(this.manifestPath, JSON.stringify(this.manifest, null, 2))
+    );
+    return this.manifestWrite;
+  }
+}
+
+FixtureServer.EXTERNAL_PATH = EXTERNAL_PATH;
+
+if (require.main === module) {
+  const server = new FixtureServer({
+    origin: process.env.FIXTURE_ORIGIN,
+    fixturesDir: process.env.FIXTURES_DIR,
+    mode: process.env.BLOG_SOURCE,
+    port: Number(process.env.FIXTURE_PORT) || undefined,
+  });
+
+  server.start().catch(error => {
+    TestHelpers.logStep(error.message, 'FAIL');
+    process.exit(1);
+  });
+
+  const shutdown = () => server.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = FixtureServer;
@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const path = require('path');
+const TestHelpers = require('./TestHelpers');
+
+/**
+ * History Store
+ * Append-only JSON-lines log of word analysis runs, with helpers to compare
+ * two runs: emerging and fading terms, shifted top terms and new or removed
+ * articles.
+ */
+class HistoryStore {
+  /**
+   * @param {string} filePath - JSON-lines history file
+   * @param {Object} options - Store options
+   * @param {number} options.maxTerms - Most frequent terms kept per run (default: all). Runs cut
+   *   this way are marked truncated, and diffRuns() skips terms they may have cut off.
+   */
+  constructor(filePath = 'test-results/history/word-frequency-history.jsonl', { maxTerms = null } = {}) {
+    this.filePath = filePath;
+    this.maxTerms = maxTerms;
+  }
+
+  /**
+   * Append a run built from a ReportWriter report model
+   * @param {Object} report - Result of ReportWriter.buildReport()
+   * @returns {Promise<Object>} The stored history entry
+   */
+  async append(report) {
+    const terms = Object.entries(report.combined.frequency).sort((a, b) => b[1] - a[1]);
+    const truncated = this.maxTerms !== null && terms.length > this.maxTerms;
+    const frequency = Object.fromEntries(truncated ? terms.slice(0, this.maxTerms) : terms);
+
+    const entry = {
+      runId: `${report.run.browser || 'run'}-${report.run.timestamp}`,
+      timestamp: report.run.timestamp,
+      browser: report.run.browser,
+      baseURL: report.run.baseURL,
+      totalWords: report.summary.totalWords,
+      articles: report.articles
+        .filter(article => !article.error)
+        .map(({ url, title, totalWords }) => ({ url, title, totalWords })),
+      topWords: report.combined.topWords.map(({ term, count }) => ({ term, count })),
+      frequency,
+      truncated,
+    };
+
+    await TestHelpers.ensureDirectory(path.dirname(this.filePath));
+    await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+    return entry;
+  }
+
+  /**
+   * Read stored runs, oldest first
+   * @param {Object} filter - Optional {browser, baseURL} to match
+   * @returns {Promise<Array>} Array of history entries
+   */
+  async readRuns(filter = {}) {
+    if (!(await TestHelpers.fileExists(this.filePath))) return [];
+
+    const content = await TestHelpers.readFile(this.filePath);
+    return content
+      .split('\n')
+      .filter(line => line.trim().length > 0)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null; // Skip lines truncated by an interrupted write
+        }
+      })
+      .filter(entry => entry && Object.entries(filter).every(([key, value]) => value === undefined || entry[key] === value));
+  }
+
+  /**
+   * Get the run stored just before the given one
+   * @param {Object} entry - History entry
+   * @returns {Promise<Object|null>} Previous run with the same browser and base URL
+   */
+  async getPreviousRun(entry) {
+    const runs = await this.readRuns({ browser: entry.browser, baseURL: entry.baseURL });
+    const earlier = runs.filter(run => run.runId !== entry.runId && run.timestamp < entry.timestamp);
+    return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+  }
+
+  /**
+   * Compare two runs. Term changes use counts per 1,000 words so runs over
+   * different amounts of text stay comparable. A term missing from a truncated
+   * run may just have fallen below its cut-off, so such terms are not compared.
+   * @param {Object} previous - Earlier history entry
+   * @param {Object} current - Later history entry
+   * @param {Object} options - Diff options
+   * @param {number} options.topCount - Number of emerging/fading terms to return (default 10)
+   * @param {number} options.shiftThreshold - Top-term shift (0..1) treated as significant (default 0.5)
+   * @returns {Object} Diff of articles, terms and top terms
+   */
+  static diffRuns(previous, current, { topCount = 10, shiftThreshold = 0.5 } = {}) {
+    const previousUrls = new Set(previous.articles.map(article => article.url));
+    const currentUrls = new Set(current.articles.map(article => article.url));
+    const rate = (entry, term) => ((entry.frequency[term] || 0) / (entry.totalWords || 1)) * 1000;
+
+    const isKnown = (entry, term) => !entry.truncated || term in entry.frequency;
+
+    const changes = [...new Set([...Object.keys(previous.frequency), ...Object.keys(current.frequency)])]
+      .filter(term => isKnown(previous, term) && isKnown(current, term))
+      .map(term => {
+        const before = rate(previous, term);
+        const after = rate(current, term);
+        return {
+          term,
+          before: Number(before.toFixed(3)),
+          after: Number(after.toFixed(3)),
+          change: Number((after - before).toFixed(3)),
+        };
+      })
+      .filter(item => item.change !== 0);
+
+    const previousTop = previous.topWords.map(item => item.term);
+    const currentTop = current.topWords.map(item => item.term);
+    const overlap = previousTop.filter(term => currentTop.includes(term));
+    const union = new Set([...previousTop, ...currentTop]);
+    const shift = union.size > 0 ? 1 - overlap.length / union.size : 0;
+
+    return {
+      previousRun: previous.runId,
+      currentRun: current.runId,
+      articles: {
+        added: [...currentUrls].filter(url => !previousUrls.has(url)),
+        removed: [...previousUrls].filter(url => !currentUrls.has(url)),
+      },
+      terms: {
+        emerging: changes.filter(item => item.change > 0).sort((a, b) => b.change - a.change).slice(0, topCount),
+        fading: changes.filter(item => item.change < 0).sort((a, b) => a.change - b.change).slice(0, topCount),
+      },
+      topTerms: {
+        before: previousTop,
+        after: currentTop,
+        entered: currentTop.filter(term => !previousTop.includes(term)),
+        left: previousTop.filter(term => !currentTop.includes(term)),
+        shift: Number(shift.toFixed(3)),
+        significant: shift >= shiftThreshold,
+      },
+    };
+  }
+
+  /**
+   * Compare a run with the one stored before it
+   * @param {Object} entry - History entry
+   * @param {Object} options - Options for diffRuns()
+   * @returns {Promise<Object|null>} Diff, or null if there is no earlier run
+   */
+  async compareWithPrevious(entry, options = {}) {
+    const previous = await this.getPreviousRun(entry);
+    return previous ? HistoryStore.diffRuns(previous, entry, options) : null;
+  }
+}
+
+module.exports = HistoryStore;
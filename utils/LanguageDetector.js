@@ -0,0 +1,70 @@
+// Scripts that identify a language on their own, checked before stop-word scoring
+const SCRIPT_LANGUAGES = [
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ['ko', /\p{Script=Hangul}/gu],
+  ['zh', /\p{Script=Han}/gu],
+  ['ru', /\p{Script=Cyrillic}/gu],
+  ['ar', /\p{Script=Arabic}/gu],
+  ['he', /\p{Script=Hebrew}/gu],
+  ['el', /\p{Script=Greek}/gu],
+];
+
+// Letters that are (nearly) unique to one Latin-script language
+const LETTER_HINTS = {
+  tr: /[ğış]/g,
+  de: /[äöüß]/g,
+  es: /[ñ¿¡]/g,
+  pt: /[ãõ]/g,
+  fr: /[œèêëîç]/g,
+};
+
+/**
+ * Language Detector
+ * Guesses the language of a text from its script, stop-word overlap and
+ * language-specific letters.
+ */
+class LanguageDetector {
+  /**
+   * Detect the language of tokenized text
+   * @param {Array} tokens - Lowercased word tokens
+   * @param {Object} stopWordLists - Map of language code to Set of stop words
+   * @param {Object} options - Detection options
+   * @param {number} options.minTokens - Fewer tokens than this are too short to judge (default 5)
+   * @param {number} options.minScore - Minimum stop-word ratio to accept a language (default 0.05)
+   * @returns {Object} {language, confidence, scores}; language is null when undecided
+   */
+  static detect(tokens, stopWordLists, { minTokens = 5, minScore = 0.05 } = {}) {
+    if (tokens.length < minTokens) {
+      return { language: null, confidence: 0, scores: {} };
+    }
+
+    const text = tokens.join(' ');
+    const letters = text.replace(/[^\p{L}]/gu, '').length || 1;
+
+    for (const [language, pattern] of SCRIPT_LANGUAGES) {
+      const share = (text.match(pattern) || []).length / letters;
+      if (share > 0.3) {
+        return { language, confidence: Number(Math.min(share, 1).toFixed(3)), scores: { [language]: share } };
+      }
+    }
+
+    const scores = {};
+    Object.entries(stopWordLists).forEach(([language, stopWords]) => {
+      const hits = tokens.filter(token => stopWords.has(token)).length;
+      const hintCount = LETTER_HINTS[language] ? (text.match(LETTER_HINTS[language]) || []).length : 0;
+      scores[language] = hits / tokens.length + Math.min(hintCount / letters, 0.05) * 2;
+    });
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [best, second] = ranked;
+    if (!best || best[1] < minScore) {
+      return { language: null, confidence: 0, scores };
+    }
+
+    // Confidence reflects how clearly the winner beats the runner-up
+    const confidence = second ? (best[1] - second[1]) / best[1] : 1;
+    return { language: best[0], confidence: Number(confidence.toFixed(3)), scores };
+  }
+}
+
+module.exports = LanguageDetector;
@@ -0,0 +1,116 @@
+// Lowest level written, e.g. LOG_LEVEL=debug
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// Step statuses used by TestHelpers.logStep() and the level each one is logged at
+const STATUS_LEVELS = { DEBUG: 'debug', INFO: 'info', PASS: 'info', WARN: 'warn', FAIL: 'error' };
+
+// Context of the running test and the entries logged during it; a worker runs one test at a time
+let testContext = null;
+let testEntries = [];
+
+/**
+ * Logger
+ * Leveled log entries with context fields, printed as text lines or, with
+ * LOG_FORMAT=json, as one JSON object per line. Entries logged while a test
+ * runs carry its context (test title, browser) and are kept so they can be
+ * attached to the test result.
+ */
+class Logger {
+  /**
+   * @param {Object} context - Fields added to every entry, e.g. {articleIndex: 2}
+   * @param {Object} options - Logger options
+   * @param {string} options.level - Lowest level written (debug, info, warn, error)
+   * @param {string} options.format - 'text' or 'json'
+   */
+  constructor(context = {}, { level = process.env.LOG_LEVEL || 'info', format = process.env.LOG_FORMAT || 'text' } = {}) {
+    this.context = context;
+    this.level = LEVELS[level] ? level : 'info';
+    this.format = format;
+  }
+
+  /**
+   * Logger with extra context fields
+   * @param {Object} context - Fields to add
+   * @returns {Logger} New logger with the same level and format
+   */
+  child(context) {
+    return new Logger({ ...this.context, ...context }, { level: this.level, format: this.format });
+  }
+
+  /**
+   * Log an entry
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - Message
+   * @param {Object} fields - Extra fields, e.g. {status: 'PASS', url}
+   * @returns {Object|null} The entry, or null when below the logger's level
+   */
+  log(level, message, fields = {}) {
+    if ((LEVELS[level] ?? LEVELS.info) < LEVELS[this.level]) return null;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      ...testContext,
+      ...this.context,
+      ...fields,
+    };
+    if (testContext) testEntries.push(entry);
+
+    console.log(this.format === 'json'
+      ? JSON.stringify(entry)
+      : `[${entry.timestamp}] [${fields.status || level.toUpperCase()}] ${message}`);
+    return entry;
+  }
+
+  debug(message, fields) {
+    return this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    return this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    return this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    return this.log('error', message, fields);
+  }
+
+  /**
+   * Log a test step with a status
+   * @param {string} message - Step description
+   * @param {string} status - DEBUG, INFO, PASS, WARN or FAIL
+   * @param {Object} fields - Extra fields, e.g. {articleIndex: 2}
+   * @returns {Object|null} The entry
+   */
+  step(message, status = 'INFO', fields = {}) {
+    return this.log(STATUS_LEVELS[status] || 'info', message, { status, ...fields });
+  }
+
+  /**
+   * Start collecting entries for a test
+   * @param {Object} context - Added to every entry until endTest(), e.g. {test, browser}
+   */
+  static startTest(context) {
+    testContext = context;
+    testEntries = [];
+  }
+
+  /**
+   * Stop collecting entries for the current test
+   * @returns {Array} Entries logged since startTest()
+   */
+  static endTest() {
+    const entries = testEntries;
+    testContext = null;
+    testEntries = [];
+    return entries;
+  }
+}
+
+Logger.LEVELS = LEVELS;
+Logger.STATUS_LEVELS = STATUS_LEVELS;
+
+module.exports = Logger;
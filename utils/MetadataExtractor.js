@@ -0,0 +1,177 @@
+const ARTICLE_TYPES = ['BlogPosting', 'Article', 'NewsArticle', 'TechArticle'];
+
+/**
+ * Metadata Extractor
+ * Builds a typed article metadata record from raw page sources
+ * (JSON-LD, OpenGraph/article meta tags, <time datetime> and selector text).
+ * Every field is returned as {value, source} so callers know how it was found.
+ */
+class MetadataExtractor {
+  /**
+   * Build the metadata record
+   * @param {Object} sources - Raw sources collected from the page
+   * @param {Array} sources.jsonLd - Text of each application/ld+json block
+   * @param {Array} sources.meta - Array of {key, content} meta tag entries
+   * @param {string} sources.canonical - href of link[rel=canonical]
+   * @param {Array} sources.times - datetime attributes of <time> elements
+   * @param {Object} sources.selectors - Fallback {author, date} text from page selectors
+   * @returns {Object} Metadata record
+   */
+  static extract(sources = {}) {
+    const posting = this.findBlogPosting(sources.jsonLd || []);
+    const meta = this.groupMeta(sources.meta || []);
+    const selectors = sources.selectors || {};
+
+    return {
+      datePublished: this.pick([
+        ['json-ld', this.toIsoDate(posting?.datePublished)],
+        ['opengraph', this.toIsoDate(meta['article:published_time']?.[0])],
+        ['time', this.toIsoDate((sources.times || [])[0])],
+        ['selector', this.toIsoDate(selectors.date)],
+      ]),
+      dateModified: this.pick([
+        ['json-ld', this.toIsoDate(posting?.dateModified)],
+        ['opengraph', this.toIsoDate(meta['article:modified_time']?.[0] || meta['og:updated_time']?.[0])],
+      ]),
+      authors: this.pick([
+        ['json-ld', this.toNames(posting?.author)],
+        ['opengraph', this.toNames(meta['article:author'])],
+        ['meta', this.toNames(meta['author'])],
+        ['selector', this.toNames(selectors.author)],
+      ], []),
+      tags: this.pick([
+        ['json-ld', this.toList(posting?.keywords).concat(this.toList(posting?.articleSection))],
+        ['opengraph', (meta['article:tag'] || []).concat(meta['article:section'] || [])],
+        ['meta', this.toList(meta['keywords']?.[0])],
+      ], []),
+      canonicalUrl: this.pick([
+        ['link', sources.canonical],
+        ['opengraph', meta['og:url']?.[0]],
+        ['json-ld', this.toUrl(posting?.mainEntityOfPage) || posting?.url],
+      ]),
+      description: this.pick([
+        ['json-ld', posting?.description],
+        ['opengraph', meta['og:description']?.[0]],
+        ['meta', meta['description']?.[0]],
+      ]),
+      image: this.pick([
+        ['json-ld', this.toUrl(posting?.image)],
+        ['opengraph', meta['og:image']?.[0]],
+        ['meta', meta['twitter:image']?.[0]],
+      ]),
+    };
+  }
+
+  /**
+   * Return the first non-empty candidate with its source
+   * @param {Array} candidates - Array of [source, value] pairs in priority order
+   * @param {*} emptyValue - Value to return when no candidate matches
+   * @returns {Object} {value, source} object
+   */
+  static pick(candidates, emptyValue = null) {
+    for (const [source, value] of candidates) {
+      const isEmpty = value === null || value === undefined || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+      if (!isEmpty) {
+        return { value: Array.isArray(value) ? [...new Set(value)] : value, source };
+      }
+    }
+    return { value: emptyValue, source: null };
+  }
+
+  /**
+   * Find the first BlogPosting-like node across all JSON-LD blocks
+   * @param {Array} blocks - Raw JSON-LD texts
+   * @returns {Object|null} The article node
+   */
+  static findBlogPosting(blocks) {
+    const nodes = [];
+    const collect = node => {
+      if (Array.isArray(node)) {
+        node.forEach(collect);
+      } else if (node && typeof node === 'object') {
+        nodes.push(node);
+        if (node['@graph']) collect(node['@graph']);
+      }
+    };
+
+    for (const block of blocks) {
+      try {
+        collect(JSON.parse(block));
+      } catch {
+        // Invalid JSON-LD is ignored so the other sources can still be used
+      }
+    }
+
+    return nodes.find(node => [].concat(node['@type'] || []).some(type => ARTICLE_TYPES.includes(type))) || null;
+  }
+
+  /**
+   * Group meta tag entries by lowercased name/property
+   * @param {Array} entries - Array of {key, content} objects
+   * @returns {Object} Map of key to array of contents
+   */
+  static groupMeta(entries) {
+    const grouped = {};
+    entries.forEach(({ key, content }) => {
+      if (!key || !content || !content.trim()) return;
+      const name = key.toLowerCase();
+      (grouped[name] = grouped[name] || []).push(content.trim());
+    });
+    return grouped;
+  }
+
+  /**
+   * Normalize a date string to ISO 8601
+   * @param {string} value - Date string in any format Date can parse
+   * @returns {string|null} ISO date, or null if the value is not a date
+   */
+  static toIsoDate(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const trimmed = value.trim();
+    // Keep plain calendar dates as-is so they don't shift with the timezone
+    if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) return trimmed;
+
+    const timestamp = Date.parse(trimmed);
+    return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+  }
+
+  /**
+   * Normalize author values (strings, Person objects or arrays) to names
+   * @param {*} value - Raw author value
+   * @returns {Array} Array of author names
+   */
+  static toNames(value) {
+    return [].concat(value || [])
+      .map(author => (typeof author === 'string' ? author : author?.name))
+      .filter(name => typeof name === 'string')
+      .map(name => name.trim().replace(/^by\s+/i, ''))
+      .filter(name => name.length > 0 && name !== 'Unknown Author');
+  }
+
+  /**
+   * Normalize comma-separated strings or arrays to a list
+   * @param {*} value - Raw list value
+   * @returns {Array} Array of trimmed strings
+   */
+  static toList(value) {
+    return [].concat(value || [])
+      .flatMap(item => (typeof item === 'string' ? item.split(',') : []))
+      .map(item => item.trim())
+      .filter(item => item.length > 0);
+  }
+
+  /**
+   * Read a URL from a string, ImageObject/WebPage node or array of them
+   * @param {*} value - Raw URL value
+   * @returns {string|null} URL
+   */
+  static toUrl(value) {
+    const first = [].concat(value || [])[0];
+    if (!first) return null;
+    return typeof first === 'string' ? first : first.url || first['@id'] || null;
+  }
+}
+
+module.exports = MetadataExtractor;
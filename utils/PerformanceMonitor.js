@@ -0,0 +1,203 @@
+// Network and CPU conditions applied through the Chrome DevTools Protocol
+const PROFILES = {
+  'slow-4g': {
+    network: { offline: false, latency: 150, downloadThroughput: (1.6 * 1024 * 1024) / 8, uploadThroughput: (750 * 1024) / 8 },
+    cpuRate: 4,
+  },
+  'fast-3g': {
+    network: { offline: false, latency: 560, downloadThroughput: (1.44 * 1024 * 1024) / 8, uploadThroughput: (675 * 1024) / 8 },
+    cpuRate: 4,
+  },
+  'cpu-only': {
+    network: null,
+    cpuRate: 6,
+  },
+};
+
+// Where each budget key is read from in a metrics record
+const BUDGET_METRICS = {
+  ttfb: metrics => metrics.navigation?.ttfb,
+  fcp: metrics => metrics.fcp,
+  lcp: metrics => metrics.lcp,
+  cls: metrics => metrics.cls,
+  tbt: metrics => metrics.tbt,
+  inp: metrics => metrics.inp,
+  load: metrics => metrics.navigation?.load,
+  transferSize: metrics => metrics.transferSize,
+  requests: metrics => metrics.requests?.total,
+};
+
+/**
+ * Init script that buffers observer entries from the start of every navigation.
+ * Entry types the browser doesn't support leave their metric at null. Kept as a
+ * plain function so Playwright can serialize it into the page.
+ */
+function installObservers() {
+  if (window.__performanceMetrics) return;
+
+  const supported = (typeof PerformanceObserver !== 'undefined' && PerformanceObserver.supportedEntryTypes) || [];
+  const metrics = {
+    lcp: null,
+    cls: supported.includes('layout-shift') ? 0 : null,
+    longTasks: supported.includes('longtask') ? [] : null,
+    maxEventDuration: null,
+  };
+  window.__performanceMetrics = metrics;
+
+  const observe = (type, callback, options = {}) => {
+    if (!supported.includes(type)) return;
+    new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+  };
+
+  observe('largest-contentful-paint', entry => {
+    metrics.lcp = entry.renderTime || entry.startTime;
+  });
+  // Sum of all unexpected shifts; no session windows, so it errs on the high side
+  observe('layout-shift', entry => {
+    if (!entry.hadRecentInput) metrics.cls += entry.value;
+  });
+  observe('longtask', entry => {
+    metrics.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+  });
+  observe('event', entry => {
+    metrics.maxEventDuration = Math.max(metrics.maxEventDuration || 0, entry.duration);
+  }, { durationThreshold: 16 });
+}
+
+/**
+ * Performance Monitor
+ * Collects Navigation Timing, paint, layout shift and long task metrics plus
+ * resource sizes from a page, applies throttling profiles on Chromium and
+ * checks the results against budgets.
+ */
+class PerformanceMonitor {
+  /**
+   * Read the metrics of the current document
+   * @param {import('@playwright/test').Page} page - Playwright page
+   * @returns {Promise<Object>} {navigation, fcp, lcp, cls, tbt, inp, transferSize, requests}; times in ms
+   */
+  static async collect(page) {
+    return page.evaluate(() => {
+      const round = value => (value === null || value === undefined ? null : Math.round(value * 1000) / 1000);
+      const navigation = performance.getEntriesByType('navigation')[0];
+      const paint = performance.getEntriesByName('first-contentful-paint')[0];
+      const observed = window.__performanceMetrics || {};
+      const fcp = paint ? paint.startTime : null;
+
+      // Total Blocking Time: the part of each long task after FCP that exceeds 50ms
+      const tbt = observed.longTasks
+        ? observed.longTasks
+          .filter(task => fcp === null || task.startTime >= fcp)
+          .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0)
+        : null;
+
+      const classify = entry => {
+        const url = entry.name.split('?')[0].toLowerCase();
+        if (/\.(woff2?|ttf|otf|eot)$/.test(url)) return 'font';
+        if (entry.initiatorType === 'img' || /\.(png|jpe?g|gif|webp|avif|svg|ico)$/.test(url)) return 'image';
+        if (entry.initiatorType === 'script' || /\.m?js$/.test(url)) return 'script';
+        if (/\.css$/.test(url)) return 'stylesheet';
+        if (['fetch', 'xmlhttprequest', 'beacon'].includes(entry.initiatorType)) return 'xhr';
+        if (['video', 'audio'].includes(entry.initiatorType)) return 'media';
+        return 'other';
+      };
+
+      const byType = {};
+      const add = (type, entry) => {
+        const bucket = byType[type] || (byType[type] = { count: 0, transferSize: 0, encodedBodySize: 0 });
+        bucket.count++;
+        // Cross-origin resources without Timing-Allow-Origin report 0 bytes
+        bucket.transferSize += entry.transferSize || 0;
+        bucket.encodedBodySize += entry.encodedBodySize || 0;
+      };
+      if (navigation) add('document', navigation);
+      performance.getEntriesByType('resource').forEach(entry => add(classify(entry), entry));
+
+      const buckets = Object.values(byType);
+      return {
+        navigation: navigation ? {
+          ttfb: round(navigation.responseStart - navigation.startTime),
+          dns: round(navigation.domainLookupEnd - navigation.domainLookupStart),
+          connect: round(navigation.connectEnd - navigation.connectStart),
+          download: round(navigation.responseEnd - navigation.responseStart),
+          domInteractive: round(navigation.domInteractive),
+          domContentLoaded: round(navigation.domContentLoadedEventEnd),
+          load: round(navigation.loadEventEnd),
+        } : null,
+        fcp: round(fcp),
+        lcp: round(observed.lcp),
+        cls: round(observed.cls),
+        tbt: round(tbt),
+        // Only meaningful after interactions: the slowest event seen so far
+        inp: round(observed.maxEventDuration),
+        transferSize: buckets.reduce((sum, bucket) => sum + bucket.transferSize, 0),
+        requests: {
+          total: buckets.reduce((sum, bucket) => sum + bucket.count, 0),
+          byType,
+        },
+      };
+    });
+  }
+
+  /**
+   * Apply a throttling profile through CDP. Only Chromium speaks CDP, so
+   * other browsers run unthrottled.
+   * @param {import('@playwright/test').Page} page - Playwright page
+   * @param {string} name - Profile name from PROFILES
+   * @returns {Promise<boolean>} True if the profile was applied
+   */
+  static async applyProfile(page, name) {
+    const profile = PROFILES[name];
+    if (!profile) {
+      throw new Error(`Unknown performance profile "${name}", expected one of ${Object.keys(PROFILES).join(', ')}`);
+    }
+    if (page.context().browser()?.browserType().name() !== 'chromium') {
+      return false;
+    }
+
+    const client = await page.context().newCDPSession(page);
+    if (profile.network) {
+      await client.send('Network.enable');
+      await client.send('Network.emulateNetworkConditions', profile.network);
+    }
+    await client.send('Emulation.setCPUThrottlingRate', { rate: profile.cpuRate });
+    return true;
+  }
+
+  /**
+   * Get the budget for a page type, with profile-specific overrides merged in
+   * @param {Object} budgets - Budget config (see config/performance-budgets.js)
+   * @param {string} pageType - e.g. 'blog' or 'article'
+   * @param {string} profile - Active throttling profile, if any
+   * @returns {Object} Map of metric to limit
+   */
+  static getBudget(budgets, pageType, profile = null) {
+    return {
+      ...(budgets.default || {}),
+      ...(budgets[pageType] || {}),
+      ...(profile ? budgets.profiles?.[profile]?.[pageType] || {} : {}),
+    };
+  }
+
+  /**
+   * Check metrics against a budget
+   * @param {Object} metrics - Result of collect()
+   * @param {Object} budget - Map of metric to limit
+   * @returns {Array} Array of {metric, value, limit, status}; status is 'pass', 'fail' or
+   *   'unsupported' when the browser couldn't measure the metric
+   */
+  static checkBudget(metrics, budget) {
+    return Object.entries(budget)
+      .filter(([metric]) => BUDGET_METRICS[metric])
+      .map(([metric, limit]) => {
+        const value = BUDGET_METRICS[metric](metrics);
+        const status = value === null || value === undefined ? 'unsupported' : value <= limit ? 'pass' : 'fail';
+        return { metric, value: value ?? null, limit, status };
+      });
+  }
+}
+
+PerformanceMonitor.PROFILES = PROFILES;
+PerformanceMonitor.installObservers = installObservers;
+
+module.exports = PerformanceMonitor;
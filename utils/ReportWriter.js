@@ -0,0 +1,517 @@
+const path = require('path');
+const TestHelpers = require('./TestHelpers');
+
+const REPORT_SCHEMA_VERSION = 1;
+
+const termSchema = {
+  type: 'object',
+  required: ['term', 'count'],
+  properties: {
+    term: { type: 'string' },
+    count: { type: 'integer', minimum: 0 },
+    score: { type: 'number' },
+    documentFrequency: { type: 'integer', minimum: 0 },
+    variants: { type: 'object', additionalProperties: { type: 'integer' } },
+  },
+};
+
+/**
+ * JSON Schema (draft 2020-12) describing the JSON report
+ */
+const REPORT_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'word-frequency-report.schema.json',
+  title: 'Word Frequency Report',
+  type: 'object',
+  required: ['schemaVersion', 'run', 'summary', 'articles', 'combined', 'errors'],
+  properties: {
+    $schema: { type: 'string' },
+    schemaVersion: { const: REPORT_SCHEMA_VERSION },
+    run: {
+      type: 'object',
+      required: ['timestamp'],
+      properties: {
+        timestamp: { type: 'string', format: 'date-time' },
+        browser: { type: ['string', 'null'] },
+        baseURL: { type: ['string', 'null'] },
+        generatedBy: { type: ['string', 'null'] },
+      },
+    },
+    summary: {
+      type: 'object',
+      required: ['totalArticles', 'analyzedArticles', 'failedArticles'],
+      properties: {
+        totalArticles: { type: 'integer', minimum: 0 },
+        analyzedArticles: { type: 'integer', minimum: 0 },
+        failedArticles: { type: 'integer', minimum: 0 },
+        totalWords: { type: 'integer', minimum: 0 },
+        keywordScoring: { type: ['string', 'null'] },
+        normalization: { type: ['string', 'null'] },
+        cache: {
+          type: ['object', 'null'],
+          properties: {
+            hits: { type: 'integer', minimum: 0 },
+            misses: { type: 'integer', minimum: 0 },
+            refreshed: { type: 'integer', minimum: 0 },
+          },
+        },
+      },
+    },
+    articles: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['index', 'title', 'url', 'totalWords'],
+        properties: {
+          index: { type: 'integer' },
+          title: { type: 'string' },
+          url: { type: 'string' },
+          author: { type: ['string', 'null'] },
+          date: { type: ['string', 'null'] },
+          language: { type: ['string', 'null'] },
+          totalWords: { type: 'integer', minimum: 0 },
+          uniqueWords: { type: 'integer', minimum: 0 },
+          topWords: { type: 'array', items: termSchema },
+          keywords: { type: 'array', items: termSchema },
+          topPhrases: { type: 'array', items: termSchema },
+          cache: { enum: ['hit', 'miss', 'refresh', null] },
+          statistics: {
+            type: ['object', 'null'],
+            properties: {
+              words: { type: 'integer', minimum: 0 },
+              sentences: { type: 'integer', minimum: 0 },
+              paragraphs: { type: 'integer', minimum: 0 },
+              averageSentenceLength: { type: 'number' },
+              readingTime: { type: 'object', properties: { minutes: { type: 'number' } } },
+              lexicalDiversity: { type: 'object', properties: { typeTokenRatio: { type: 'number' }, mtld: { type: 'number' } } },
+              readability: { type: ['object', 'null'] },
+            },
+          },
+          error: { type: ['string', 'null'] },
+        },
+      },
+    },
+    combined: {
+      type: 'object',
+      required: ['topWords', 'frequency'],
+      properties: {
+        topWords: { type: 'array', items: termSchema },
+        topKeywords: { type: 'array', items: termSchema },
+        topPhrases: { type: 'array', items: termSchema },
+        frequency: { type: 'object', additionalProperties: { type: 'integer' } },
+        documentFrequency: { type: 'object', additionalProperties: { type: 'integer' } },
+        corpusSize: { type: 'integer', minimum: 0 },
+      },
+    },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['index', 'url', 'message'],
+        properties: {
+          index: { type: 'integer' },
+          url: { type: 'string' },
+          message: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const formats = new Map();
+
+/**
+ * Report Writer
+ * Turns WordAnalyzer results into reports. Formats are pluggable: each one
+ * is registered with a file extension and a render function that receives
+ * the report model built by buildReport().
+ */
+class ReportWriter {
+  /**
+   * Register a report format
+   * @param {string} name - Format name used in writeReports()
+   * @param {Object} format - Format definition
+   * @param {string} format.extension - File extension without dot
+   * @param {string} format.contentType - MIME type, used for test attachments
+   * @param {Function} format.render - (report) => string
+   */
+  static register(name, { extension, contentType = 'text/plain', render }) {
+    formats.set(name, { extension, contentType, render });
+  }
+
+  /**
+   * Get the names of all registered formats
+   * @returns {Array} Format names
+   */
+  static getFormats() {
+    return [...formats.keys()];
+  }
+
+  /**
+   * Get a registered format
+   * @param {string} name - Format name
+   * @returns {Object} Format definition
+   */
+  static getFormat(name) {
+    const format = formats.get(name);
+    if (!format) {
+      throw new Error(`Unknown report format: ${name}. Available: ${ReportWriter.getFormats().join(', ')}`);
+    }
+    return format;
+  }
+
+  /**
+   * Build the report model shared by every format
+   * @param {Object} analysis - Result of WordAnalyzer.analyzeMultipleArticles()
+   * @param {Object} run - Run metadata (browser, baseURL, generatedBy, ...)
+   * @returns {Object} Report model
+   */
+  static buildReport(analysis, run = {}) {
+    const toTerms = (items = [], variants = {}) => items.map(item => ({
+      term: item.word ?? item.phrase,
+      count: item.count,
+      ...(item.score !== undefined && { score: item.score }),
+      ...(item.documentFrequency !== undefined && { documentFrequency: item.documentFrequency }),
+      ...(variants[item.word] && { variants: variants[item.word].forms }),
+    }));
+
+    const articles = analysis.articles.map((article, position) => ({
+      index: article.index ?? position + 1,
+      title: article.title || 'Unknown Title',
+      url: article.url || 'Unknown URL',
+      author: article.author ?? null,
+      date: article.date ?? null,
+      language: article.analysis?.language?.code ?? null,
+      totalWords: article.analysis?.totalWords || 0,
+      uniqueWords: article.analysis?.uniqueWords || 0,
+      topWords: toTerms(article.analysis?.topWords, article.analysis?.variants),
+      keywords: toTerms(article.analysis?.keywords, article.analysis?.variants),
+      topPhrases: toTerms(article.analysis?.phrases?.topPhrases),
+      cache: article.cache ?? null,
+      statistics: article.error ? null : article.analysis?.statistics ?? null,
+      error: article.error ?? null,
+    }));
+
+    // Only articles that went through the extraction cache are counted
+    const cacheCount = status => articles.filter(article => article.cache === status).length;
+    const cache = articles.some(article => article.cache)
+      ? { hits: cacheCount('hit'), misses: cacheCount('miss'), refreshed: cacheCount('refresh') }
+      : null;
+
+    const errors = articles
+      .filter(article => article.error)
+      .map(({ index, url, error }) => ({ index, url, message: error }));
+
+    return {
+      $schema: `./${REPORT_SCHEMA.$id}`,
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      run: {
+        timestamp: new Date().toISOString(),
+        browser: null,
+        baseURL: null,
+        ...run,
+      },
+      summary: {
+        totalArticles: articles.length,
+        analyzedArticles: articles.length - errors.length,
+        failedArticles: errors.length,
+        totalWords: articles.reduce((sum, article) => sum + article.totalWords, 0),
+        keywordScoring: analysis.keywordScoring ?? null,
+        normalization: analysis.normalization ?? null,
+        cache,
+      },
+      articles,
+      combined: {
+        topWords: toTerms(analysis.topWords, analysis.variants),
+        topKeywords: toTerms(analysis.topKeywords, analysis.variants),
+        topPhrases: toTerms(analysis.phrases?.topPhrases),
+        frequency: analysis.combinedFrequency || {},
+        documentFrequency: analysis.documentFrequency || {},
+        // Articles document frequency was counted over; analyzed articles without text are not among them
+        corpusSize: analysis.corpusSize ?? articles.length - errors.length,
+      },
+      errors,
+    };
+  }
+
+  /**
+   * Render a report in one format
+   * @param {string} name - Format name
+   * @param {Object} report - Report model
+   * @returns {string} Rendered report
+   */
+  static render(name, report) {
+    return ReportWriter.getFormat(name).render(report);
+  }
+
+  /**
+   * Write a report in several formats
+   * @param {Object} report - Report model
+   * @param {Object} options - Output options
+   * @param {Array} options.formats - Format names (default: all registered)
+   * @param {string} options.outputDir - Output directory
+   * @param {string} options.baseName - File name without extension
+   * @returns {Promise<Array>} Array of {format, path, contentType} objects
+   */
+  static async writeReports(report, { formats: names = ReportWriter.getFormats(), outputDir = './test-results', baseName = 'word-frequency-report' } = {}) {
+    const written = [];
+
+    for (const name of names) {
+      const format = ReportWriter.getFormat(name);
+      const filePath = path.join(outputDir, `${baseName}.${format.extension}`);
+      await TestHelpers.saveToFile(filePath, format.render(report));
+      written.push({ format: name, path: filePath, contentType: format.contentType });
+    }
+
+    if (names.includes('json')) {
+      await TestHelpers.saveToFile(path.join(outputDir, REPORT_SCHEMA.$id), JSON.stringify(REPORT_SCHEMA, null, 2));
+    }
+
+    return written;
+  }
+
+  /**
+   * Plain text layout
+   * @param {Object} report - Report model
+   * @returns {string} Text report
+   */
+  static renderText(report) {
+    let content = 'Word Frequency Analysis Results\n';
+    content += '===============================\n\n';
+    content += `Analysis Date: ${report.run.timestamp}\n`;
+    content += `Articles Analyzed: ${report.articles.length}\n`;
+    if (report.summary.cache) {
+      content += `Extraction Cache: ${report.summary.cache.hits} hits, ${report.summary.cache.misses} misses, ${report.summary.cache.refreshed} refreshed\n`;
+    }
+    content += '\n';
+
+    content += 'Articles:\n';
+    report.articles.forEach((article, index) => {
+      content += `${index + 1}. ${article.title}\n`;
+      content += `   URL: ${article.url}\n`;
+      content += `   Words: ${article.totalWords}\n`;
+      if (article.language) {
+        content += `   Language: ${article.language}\n`;
+      }
+      if (article.keywords.length) {
+        content += `   Keywords: ${article.keywords.map(item => item.term).join(', ')}\n`;
+      }
+      if (article.statistics) {
+        const { readingTime, sentences, averageSentenceLength, readability } = article.statistics;
+        content += `   Reading: ${readingTime.minutes} min, ${sentences} sentences of ${averageSentenceLength} words on average`;
+        content += readability ? `, Flesch-Kincaid grade ${readability.fleschKincaidGrade}\n` : '\n';
+      }
+      if (article.error) {
+        content += `   Error: ${article.error}\n`;
+      }
+      content += '\n';
+    });
+
+    const sections = [
+      [`Top ${report.combined.topWords.length} Most Repeated Words Across All Articles:`, report.combined.topWords,
+        item => `"${item.term}" - ${item.count} occurrences`],
+      [`Most Distinctive Keywords (${report.summary.keywordScoring === 'bm25' ? 'BM25' : 'TF-IDF'}):`, report.combined.topKeywords,
+        item => `"${item.term}" - score ${item.score}, in ${item.documentFrequency} of ${report.combined.corpusSize} articles`],
+      ['Top Phrases Across All Articles:', report.combined.topPhrases,
+        item => `"${item.term}" - ${item.count} occurrences`],
+    ];
+
+    sections.filter(([, items]) => items.length > 0).forEach(([heading, items, line], sectionIndex) => {
+      content += `${sectionIndex > 0 ? '\n' : ''}${heading}\n${'='.repeat(heading.length)}\n`;
+      items.forEach((item, index) => {
+        content += `${index + 1}. ${line(item)}\n`;
+        if (item.variants) {
+          content += `   Variants: ${Object.entries(item.variants).map(([form, count]) => `${form} (${count})`).join(', ')}\n`;
+        }
+      });
+    });
+
+    if (report.run.generatedBy) {
+      content += `\n\nGenerated by ${report.run.generatedBy}\n`;
+    }
+
+    return content;
+  }
+
+  /**
+   * JSON layout, validated by REPORT_SCHEMA
+   * @param {Object} report - Report model
+   * @returns {string} JSON report
+   */
+  static renderJson(report) {
+    return `${JSON.stringify(report, null, 2)}\n`;
+  }
+
+  /**
+   * CSV layout: one row per article and per ranked term
+   * @param {Object} report - Report model
+   * @returns {string} CSV report
+   */
+  static renderCsv(report) {
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [['section', 'article_index', 'article_title', 'article_url', 'rank', 'term', 'count', 'score', 'document_frequency', 'error']];
+    const addTerms = (section, items, article = {}) => items.forEach((item, rank) => {
+      rows.push([section, article.index, article.title, article.url, rank + 1, item.term, item.count, item.score, item.documentFrequency, null]);
+    });
+
+    report.articles.forEach(article => {
+      rows.push(['article', article.index, article.title, article.url, null, null, article.totalWords, null, null, article.error]);
+      addTerms('article_top_word', article.topWords, article);
+      addTerms('article_keyword', article.keywords, article);
+      addTerms('article_phrase', article.topPhrases, article);
+    });
+    addTerms('combined_top_word', report.combined.topWords);
+    addTerms('combined_keyword', report.combined.topKeywords);
+    addTerms('combined_phrase', report.combined.topPhrases);
+
+    return `${rows.map(row => row.map(escape).join(',')).join('\n')}\n`;
+  }
+
+  /**
+   * Markdown layout with tables
+   * @param {Object} report - Report model
+   * @returns {string} Markdown report
+   */
+  static renderMarkdown(report) {
+    const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const table = (headers, rows) => [
+      `| ${headers.join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(cell).join(' | ')} |`),
+    ].join('\n');
+    const termTable = items => table(['#', 'Term', 'Count', 'Score'],
+      items.map((item, index) => [index + 1, item.term, item.count, item.score ?? '']));
+
+    const lines = [
+      '# Word Frequency Analysis Results',
+      '',
+      `- **Date:** ${report.run.timestamp}`,
+      `- **Browser:** ${report.run.browser ?? 'n/a'}`,
+      `- **Base URL:** ${report.run.baseURL ?? 'n/a'}`,
+      `- **Articles:** ${report.summary.analyzedArticles} analyzed, ${report.summary.failedArticles} failed`,
+      ...(report.summary.cache
+        ? [`- **Extraction cache:** ${report.summary.cache.hits} hits, ${report.summary.cache.misses} misses, ${report.summary.cache.refreshed} refreshed`]
+        : []),
+      '',
+      '## Articles',
+      '',
+      table(['#', 'Title', 'URL', 'Language', 'Words', 'Reading time', 'Grade', 'Keywords'], report.articles.map(article => [
+        article.index, article.title, article.url, article.language ?? '', article.totalWords,
+        article.statistics ? `${article.statistics.readingTime.minutes} min` : '',
+        article.statistics?.readability?.fleschKincaidGrade ?? '',
+        article.keywords.map(item => item.term).join(', '),
+      ])),
+      '',
+      '## Top Words',
+      '',
+      termTable(report.combined.topWords),
+    ];
+
+    if (report.combined.topKeywords.length) {
+      lines.push('', '## Distinctive Keywords', '', termTable(report.combined.topKeywords));
+    }
+    if (report.combined.topPhrases.length) {
+      lines.push('', '## Top Phrases', '', termTable(report.combined.topPhrases));
+    }
+    if (report.errors.length) {
+      lines.push('', '## Extraction Errors', '', table(['#', 'URL', 'Error'],
+        report.errors.map(error => [error.index, error.url, error.message])));
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Self-contained HTML layout with inline SVG bar charts
+   * @param {Object} report - Report model
+   * @returns {string} HTML report
+   */
+  static renderHtml(report) {
+    const escape = value => String(value ?? '')
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    const barChart = (items, valueOf = item => item.count) => {
+      if (!items.length) return '<p class="empty">No data</p>';
+      const max = Math.max(...items.map(valueOf)) || 1;
+      const rowHeight = 26;
+      const bars = items.map((item, index) => {
+        const width = Math.max((valueOf(item) / max) * 360, 2);
+        const y = index * rowHeight;
+        return `<text x="0" y="${y + 17}">${escape(item.term)}</text>` +
+          `<rect x="170" y="${y + 4}" width="${width.toFixed(1)}" height="18" rx="3"></rect>` +
+          `<text x="${(176 + width).toFixed(1)}" y="${y + 17}">${escape(valueOf(item))}</text>`;
+      }).join('');
+      return `<svg class="chart" viewBox="0 0 600 ${items.length * rowHeight}" role="img">${bars}</svg>`;
+    };
+
+    const articleRows = report.articles.map(article => `
+        <tr${article.error ? ' class="failed"' : ''}>
+          <td>${article.index}</td>
+          <td><a href="${escape(article.url)}">${escape(article.title)}</a></td>
+          <td>${escape(article.language)}</td>
+          <td>${article.totalWords}</td>
+          <td>${article.statistics ? `${article.statistics.readingTime.minutes} min` : ''}</td>
+          <td>${article.statistics?.readability?.fleschKincaidGrade ?? ''}</td>
+          <td>${escape(article.keywords.map(item => item.term).join(', '))}</td>
+          <td>${escape(article.error)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Word Frequency Analysis Results</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2933; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border: 1px solid #d9e2ec; padding: 0.4rem 0.6rem; text-align: left; }
+    tr.failed { background: #ffe3e3; }
+    .chart { width: 100%; max-width: 640px; font-size: 13px; }
+    .chart rect { fill: #2680c2; }
+    .meta { color: #52606d; }
+    .empty { color: #9aa5b1; }
+  </style>
+</head>
+<body>
+  <h1>Word Frequency Analysis Results</h1>
+  <p class="meta">
+    ${escape(report.run.timestamp)} &middot; browser: ${escape(report.run.browser ?? 'n/a')} &middot;
+    base URL: ${escape(report.run.baseURL ?? 'n/a')} &middot;
+    ${report.summary.analyzedArticles} analyzed, ${report.summary.failedArticles} failed${report.summary.cache
+    ? ` &middot; cache: ${report.summary.cache.hits} hits, ${report.summary.cache.misses} misses, ${report.summary.cache.refreshed} refreshed`
+    : ''}
+  </p>
+
+  <h2>Articles</h2>
+  <table>
+    <thead><tr><th>#</th><th>Title</th><th>Language</th><th>Words</th><th>Reading time</th><th>Grade</th><th>Keywords</th><th>Error</th></tr></thead>
+    <tbody>${articleRows}
+    </tbody>
+  </table>
+
+  <h2>Top Words</h2>
+  ${barChart(report.combined.topWords)}
+
+  <h2>Distinctive Keywords</h2>
+  ${barChart(report.combined.topKeywords, item => item.score)}
+
+  <h2>Top Phrases</h2>
+  ${barChart(report.combined.topPhrases)}
+</body>
+</html>
+`;
+  }
+}
+
+ReportWriter.schema = REPORT_SCHEMA;
+
+ReportWriter.register('text', { extension: 'txt', contentType: 'text/plain', render: ReportWriter.renderText });
+ReportWriter.register('json', { extension: 'json', contentType: 'application/json', render: ReportWriter.renderJson });
+ReportWriter.register('csv', { extension: 'csv', contentType: 'text/csv', render: ReportWriter.renderCsv });
+ReportWriter.register('markdown', { extension: 'md', contentType: 'text/markdown', render: ReportWriter.renderMarkdown });
+ReportWriter.register('html', { extension: 'html', contentType: 'text/html', render: ReportWriter.renderHtml });
+
+module.exports = ReportWriter;
@@ -0,0 +1,368 @@
+const MetadataExtractor = require('./MetadataExtractor');
+
+// Lengths search engines display without truncation
+const LIMITS = {
+  title: { min: 30, max: 60 },
+  description: { min: 70, max: 160 },
+  headline: { max: 110 },
+};
+
+const REQUIRED_OPENGRAPH = ['og:title', 'og:type', 'og:image', 'og:url'];
+const TWITTER_CARD_TYPES = ['summary', 'summary_large_image', 'app', 'player'];
+const HREFLANG = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+
+/**
+ * SEO Checker
+ * Validates the search and social metadata collected by ArticlePage.getSeoData():
+ * title, meta description, canonical URL, robots, hreflang, OpenGraph, Twitter
+ * cards and JSON-LD. Also finds titles and descriptions shared by several articles.
+ */
+class SeoChecker {
+  /**
+   * Check one article
+   * @param {Object} data - Result of ArticlePage.getSeoData()
+   * @param {Object} options - Check options
+   * @param {boolean} options.allowRelativeUrls - Accept relative canonical, hreflang and image
+   *   URLs; the fixture server rewrites live-origin URLs to relative ones (default false)
+   * @returns {Object} {url, title, description, passed, summary, issues}
+   */
+  static check(data, { allowRelativeUrls = false } = {}) {
+    const meta = MetadataExtractor.groupMeta(data.meta || []);
+    const issues = [
+      ...SeoChecker.checkTitle(data.title),
+      ...SeoChecker.checkDescription(meta.description || []),
+      ...SeoChecker.checkCanonical(data.canonicals || [], data.url, allowRelativeUrls),
+      ...SeoChecker.checkRobots([...(meta.robots || []), ...(meta.googlebot || [])]),
+      ...SeoChecker.checkHreflang(data.hreflang || [], data.canonicals?.[0], allowRelativeUrls),
+      ...SeoChecker.checkOpenGraph(meta, data.imageStatus || {}, allowRelativeUrls),
+      ...SeoChecker.checkTwitter(meta, data.imageStatus || {}, allowRelativeUrls),
+      ...SeoChecker.checkJsonLd(data.jsonLd || []),
+    ];
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+
+    return {
+      url: data.url,
+      title: data.title || null,
+      description: meta.description?.[0] || null,
+      passed: errors === 0,
+      summary: {
+        errors,
+        warnings: issues.length - errors,
+        titleLength: (data.title || '').length,
+        descriptionLength: (meta.description?.[0] || '').length,
+      },
+      issues,
+    };
+  }
+
+  /**
+   * Build an issue record
+   * @param {string} check - Check name
+   * @param {string} severity - 'error' or 'warning'
+   * @param {string} message - What is wrong
+   * @returns {Object} Issue
+   */
+  static issue(check, severity, message) {
+    return { check, severity, message };
+  }
+
+  /**
+   * Check that a URL is absolute
+   * @param {string} url - URL to check
+   * @param {boolean} allowRelative - Also accept root-relative URLs
+   * @returns {boolean} True if the URL is acceptable
+   */
+  static isAbsoluteUrl(url, allowRelative = false) {
+    return /^https?:\/\//.test(url || '') || (allowRelative && /^\/(?!\/)/.test(url || ''));
+  }
+
+  /**
+   * Check the <title>
+   * @param {string} title - Document title
+   * @returns {Array} Issues
+   */
+  static checkTitle(title) {
+    if (!title || !title.trim()) {
+      return [SeoChecker.issue('title', 'error', 'Page has no <title>')];
+    }
+    const { length } = title.trim();
+    if (length < LIMITS.title.min || length > LIMITS.title.max) {
+      return [SeoChecker.issue('title', 'warning',
+        `Title is ${length} characters, recommended ${LIMITS.title.min}-${LIMITS.title.max}`)];
+    }
+    return [];
+  }
+
+  /**
+   * Check the meta description
+   * @param {Array} descriptions - Contents of every meta[name=description]
+   * @returns {Array} Issues
+   */
+  static checkDescription(descriptions) {
+    if (descriptions.length === 0) {
+      return [SeoChecker.issue('description', 'error', 'Page has no meta description')];
+    }
+
+    const issues = [];
+    if (descriptions.length > 1) {
+      issues.push(SeoChecker.issue('description', 'warning', `Page has ${descriptions.length} meta descriptions`));
+    }
+    const { length } = descriptions[0];
+    if (length < LIMITS.description.min || length > LIMITS.description.max) {
+      issues.push(SeoChecker.issue('description', 'warning',
+        `Meta description is ${length} characters, recommended ${LIMITS.description.min}-${LIMITS.description.max}`));
+    }
+    return issues;
+  }
+
+  /**
+   * Check the canonical link
+   * @param {Array} canonicals - href attribute of every link[rel=canonical]
+   * @param {string} pageUrl - URL the page was loaded from
+   * @param {boolean} allowRelative - Accept a root-relative canonical URL
+   * @returns {Array} Issues
+   */
+  static checkCanonical(canonicals, pageUrl, allowRelative = false) {
+    if (canonicals.length === 0) {
+      return [SeoChecker.issue('canonical', 'error', 'Page has no canonical URL')];
+    }
+    if (canonicals.length > 1) {
+      return [SeoChecker.issue('canonical', 'error', `Page has ${canonicals.length} canonical links`)];
+    }
+
+    if (!SeoChecker.isAbsoluteUrl(canonicals[0], allowRelative)) {
+      return [SeoChecker.issue('canonical', 'error', `Canonical URL is not absolute: ${canonicals[0]}`)];
+    }
+    const canonical = new URL(canonicals[0], pageUrl);
+
+    // Replayed pages are served from localhost, so only the path is compared
+    const normalizePath = url => url.pathname.replace(/\/+$/, '') || '/';
+    if (pageUrl && normalizePath(canonical) !== normalizePath(new URL(pageUrl))) {
+      return [SeoChecker.issue('canonical', 'warning', `Canonical URL points elsewhere: ${canonical.href}`)];
+    }
+    return [];
+  }
+
+  /**
+   * Check robots directives
+   * @param {Array} directives - Contents of meta[name=robots] and meta[name=googlebot]
+   * @returns {Array} Issues
+   */
+  static checkRobots(directives) {
+    const values = directives.flatMap(content => content.toLowerCase().split(',').map(value => value.trim()));
+    const issues = [];
+
+    if (values.includes('noindex') || values.includes('none')) {
+      issues.push(SeoChecker.issue('robots', 'error', 'Robots directives keep the article out of search results (noindex)'));
+    }
+    if (values.includes('nofollow')) {
+      issues.push(SeoChecker.issue('robots', 'warning', 'Robots directives tell crawlers not to follow links (nofollow)'));
+    }
+    return issues;
+  }
+
+  /**
+   * Check hreflang alternates
+   * @param {Array} alternates - Array of {hreflang, href} from link[rel=alternate][hreflang]
+   * @param {string} canonical - Canonical URL, expected among the alternates
+   * @param {boolean} allowRelative - Accept root-relative alternate URLs
+   * @returns {Array} Issues
+   */
+  static checkHreflang(alternates, canonical, allowRelative = false) {
+    if (alternates.length === 0) return [];
+
+    const issues = [];
+    const seen = new Set();
+    alternates.forEach(({ hreflang, href }) => {
+      if (!HREFLANG.test(hreflang || '')) {
+        issues.push(SeoChecker.issue('hreflang', 'error', `Invalid hreflang code "${hreflang}"`));
+      }
+      if (seen.has((hreflang || '').toLowerCase())) {
+        issues.push(SeoChecker.issue('hreflang', 'error', `hreflang "${hreflang}" is declared more than once`));
+      }
+      seen.add((hreflang || '').toLowerCase());
+      if (!SeoChecker.isAbsoluteUrl(href, allowRelative)) {
+        issues.push(SeoChecker.issue('hreflang', 'error', `hreflang "${hreflang}" link is not absolute: ${href}`));
+      }
+    });
+
+    if (canonical && !alternates.some(({ href }) => href === canonical)) {
+      issues.push(SeoChecker.issue('hreflang', 'warning', 'hreflang alternates do not include the page itself'));
+    }
+    return issues;
+  }
+
+  /**
+   * Check OpenGraph completeness and the og:image target
+   * @param {Object} meta - Grouped meta tags
+   * @param {Object} imageStatus - Map of image URL to HTTP status (null when unreachable)
+   * @param {boolean} allowRelative - Accept a root-relative og:image
+   * @returns {Array} Issues
+   */
+  static checkOpenGraph(meta, imageStatus, allowRelative = false) {
+    const issues = REQUIRED_OPENGRAPH
+      .filter(property => !meta[property])
+      .map(property => SeoChecker.issue('opengraph', 'error', `Missing ${property}`));
+
+    if (!meta['og:description']) {
+      issues.push(SeoChecker.issue('opengraph', 'warning', 'Missing og:description'));
+    }
+    if (meta['og:image']) {
+      issues.push(...SeoChecker.checkImage('opengraph', 'og:image', meta['og:image'][0], imageStatus, allowRelative));
+    }
+    return issues;
+  }
+
+  /**
+   * Check the Twitter card. Title, description and image fall back to OpenGraph.
+   * @param {Object} meta - Grouped meta tags
+   * @param {Object} imageStatus - Map of image URL to HTTP status
+   * @param {boolean} allowRelative - Accept a root-relative twitter:image
+   * @returns {Array} Issues
+   */
+  static checkTwitter(meta, imageStatus, allowRelative = false) {
+    const card = meta['twitter:card']?.[0];
+    if (!card) {
+      return [SeoChecker.issue('twitter', 'error', 'Missing twitter:card')];
+    }
+
+    const issues = [];
+    if (!TWITTER_CARD_TYPES.includes(card)) {
+      issues.push(SeoChecker.issue('twitter', 'error', `Unknown twitter:card type "${card}"`));
+    }
+    ['title', 'description', 'image'].forEach(field => {
+      if (!meta[`twitter:${field}`] && !meta[`og:${field}`]) {
+        issues.push(SeoChecker.issue('twitter', 'warning', `Missing twitter:${field} and og:${field}`));
+      }
+    });
+    // A separate Twitter image needs its own check; an OpenGraph one is already covered
+    const image = meta['twitter:image']?.[0];
+    if (image && image !== meta['og:image']?.[0]) {
+      issues.push(...SeoChecker.checkImage('twitter', 'twitter:image', image, imageStatus, allowRelative));
+    }
+    return issues;
+  }
+
+  /**
+   * Check a social image URL and its HTTP status
+   * @param {string} check - Check name
+   * @param {string} property - Meta property holding the image
+   * @param {string} url - Image URL
+   * @param {Object} imageStatus - Map of image URL (as written in the meta tag) to HTTP status
+   * @param {boolean} allowRelative - Accept a root-relative image URL
+   * @returns {Array} Issues
+   */
+  static checkImage(check, property, url, imageStatus, allowRelative = false) {
+    if (!SeoChecker.isAbsoluteUrl(url, allowRelative)) {
+      return [SeoChecker.issue(check, 'error', `${property} is not an absolute URL: ${url}`)];
+    }
+    if (!(url in imageStatus)) return [];
+
+    const status = imageStatus[url];
+    if (status === null || status >= 400) {
+      return [SeoChecker.issue(check, 'error', `${property} is broken (${status === null ? 'unreachable' : `HTTP ${status}`}): ${url}`)];
+    }
+    return [];
+  }
+
+  /**
+   * Check that JSON-LD parses and describes the article
+   * @param {Array} blocks - Text of each application/ld+json block
+   * @returns {Array} Issues
+   */
+  static checkJsonLd(blocks) {
+    if (blocks.length === 0) {
+      return [SeoChecker.issue('json-ld', 'warning', 'Page has no JSON-LD structured data')];
+    }
+
+    const issues = [];
+    blocks.forEach((block, index) => {
+      try {
+        JSON.parse(block);
+      } catch (error) {
+        issues.push(SeoChecker.issue('json-ld', 'error', `JSON-LD block ${index + 1} is not valid JSON: ${error.message}`));
+      }
+    });
+
+    const posting = MetadataExtractor.findBlogPosting(blocks);
+    if (!posting) {
+      issues.push(SeoChecker.issue('json-ld', 'warning', 'JSON-LD has no BlogPosting or Article node'));
+      return issues;
+    }
+
+    ['headline', 'datePublished', 'author', 'image'].forEach(field => {
+      if (!posting[field]) {
+        issues.push(SeoChecker.issue('json-ld', 'warning', `JSON-LD article has no ${field}`));
+      }
+    });
+    if (typeof posting.headline === 'string' && posting.headline.length > LIMITS.headline.max) {
+      issues.push(SeoChecker.issue('json-ld', 'warning',
+        `JSON-LD headline is ${posting.headline.length} characters, maximum ${LIMITS.headline.max}`));
+    }
+    if (posting.datePublished && !MetadataExtractor.toIsoDate(posting.datePublished)) {
+      issues.push(SeoChecker.issue('json-ld', 'error', `JSON-LD datePublished is not a date: ${posting.datePublished}`));
+    }
+    return issues;
+  }
+
+  /**
+   * Find titles and descriptions used by more than one article, and add a
+   * duplicate issue to each affected report
+   * @param {Array} reports - Results of check()
+   * @returns {Object} {titles, descriptions}, each an array of {value, urls}
+   */
+  static findDuplicates(reports) {
+    const group = field => {
+      const groups = new Map();
+      reports.forEach(report => {
+        const value = (report[field] || '').trim();
+        if (!value) return;
+        const key = value.toLowerCase().replace(/\s+/g, ' ');
+        if (!groups.has(key)) groups.set(key, { value, urls: [] });
+        groups.get(key).urls.push(report.url);
+      });
+      return [...groups.values()].filter(item => item.urls.length > 1);
+    };
+
+    const duplicates = { titles: group('title'), descriptions: group('description') };
+
+    [['titles', 'title'], ['descriptions', 'description']].forEach(([key, check]) => {
+      duplicates[key].forEach(({ urls }) => {
+        reports.filter(report => urls.includes(report.url)).forEach(report => {
+          const others = urls.filter(url => url !== report.url);
+          report.issues.push(SeoChecker.issue(check, 'error', `Same ${check} as ${others.join(', ')}`));
+          report.summary.errors++;
+          report.passed = false;
+        });
+      });
+    });
+
+    return duplicates;
+  }
+
+  /**
+   * Render a Markdown summary table of all checked articles
+   * @param {Array} reports - Results of check(), after findDuplicates()
+   * @returns {string} Markdown table
+   */
+  static renderSummary(reports) {
+    const row = cells => `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+    return [
+      row(['#', 'URL', 'Title chars', 'Description chars', 'Errors', 'Warnings', 'Status']),
+      row(['---', '---', '---:', '---:', '---:', '---:', '---']),
+      ...reports.map((report, index) => row([
+        index + 1,
+        report.url,
+        report.summary.titleLength,
+        report.summary.descriptionLength,
+        report.summary.errors,
+        report.summary.warnings,
+        report.passed ? 'PASS' : 'FAIL',
+      ])),
+    ].join('\n');
+  }
+}
+
+SeoChecker.LIMITS = LIMITS;
+
+module.exports = SeoChecker;
@@ -0,0 +1,309 @@
+const WordAnalyzer = require('./WordAnalyzer');
+
+// Bumped whenever shingling or hashing changes, so stale stored fingerprints are not compared
+const FINGERPRINT_VERSION = 1;
+const SIMHASH_BITS = 64;
+
+// 32-bit FNV-1a hash of a string, optionally seeded
+const fnv1a = (text, seed = 0x811c9dc5) => {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// MurmurHash3 finalizer: spreads the bits of a 32-bit value
+const mix32 = value => {
+  let hash = value >>> 0;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+// Fixed seeds for the MinHash permutations, so fingerprints from different runs stay comparable
+const seedsFor = count => Array.from({ length: count }, (_, index) => mix32(0x9e3779b9 * (index + 1)));
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+/**
+ * Similarity Analyzer
+ * Near-duplicate and content-overlap detection between articles. Each article
+ * gets a fingerprint: hashes of its word shingles (overlapping runs of words),
+ * a MinHash signature estimating their Jaccard resemblance, a SimHash of its
+ * terms and its term vector. Fingerprints are plain JSON, so they can be
+ * stored (see FingerprintStore) and a new article checked against the archive.
+ */
+class SimilarityAnalyzer {
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {number} options.shingleSize - Words per shingle (default 5)
+   * @param {number} options.numHashes - MinHash signature length (default 128)
+   * @param {number} options.minPassageWords - Shortest shared passage to report (default 12)
+   * @param {number} options.maxTerms - Most frequent terms kept in a fingerprint's term vector (default 500)
+   * @param {Object} options.thresholds - {resemblance, containment, cosine}; a pair reaching any of them is reported
+   * @param {WordAnalyzer} wordAnalyzer - Analyzer used to tokenize texts and build term vectors
+   */
+  constructor(options = {}, wordAnalyzer = new WordAnalyzer()) {
+    this.options = {
+      shingleSize: 5,
+      numHashes: 128,
+      minPassageWords: 12,
+      maxTerms: 500,
+      ...options,
+      thresholds: {
+        resemblance: 0.5,
+        containment: 0.3,
+        cosine: 0.9,
+        ...options.thresholds,
+      },
+    };
+    this.wordAnalyzer = wordAnalyzer;
+    this.seeds = seedsFor(this.options.numHashes);
+  }
+
+  /**
+   * Hash every shingle of a token list, in text order
+   * @param {Array} tokens - Lowercased tokens, stop words included
+   * @param {number} size - Words per shingle
+   * @returns {Array} 32-bit shingle hashes; one for texts shorter than a shingle
+   */
+  static shingleHashes(tokens, size) {
+    if (tokens.length === 0) return [];
+    if (tokens.length < size) return [fnv1a(tokens.join(' '))];
+    return Array.from({ length: tokens.length - size + 1 }, (_, index) => fnv1a(tokens.slice(index, index + size).join(' ')));
+  }
+
+  /**
+   * MinHash signature of a set of shingle hashes
+   * @param {Array} hashes - Shingle hashes
+   * @param {Array} seeds - One seed per permutation
+   * @returns {Array} Smallest permuted hash per seed
+   */
+  static minhash(hashes, seeds) {
+    const signature = new Array(seeds.length).fill(0xffffffff);
+    new Set(hashes).forEach(hash => {
+      seeds.forEach((seed, index) => {
+        const permuted = mix32(hash ^ seed);
+        if (permuted < signature[index]) signature[index] = permuted;
+      });
+    });
+    return signature;
+  }
+
+  /**
+   * 64-bit SimHash of a term vector, each term weighted by its count
+   * @param {Object} terms - Term to count object
+   * @returns {string} 16-digit hex fingerprint
+   */
+  static simhash(terms) {
+    const weights = new Array(SIMHASH_BITS).fill(0);
+    Object.entries(terms).forEach(([term, count]) => {
+      // Two independent 32-bit hashes make up the 64 bits
+      [fnv1a(term), fnv1a(term, 0x01000193)].forEach((hash, half) => {
+        for (let bit = 0; bit < 32; bit++) {
+          weights[half * 32 + bit] += (hash >>> bit) & 1 ? count : -count;
+        }
+      });
+    });
+
+    let value = 0n;
+    weights.forEach((weight, bit) => {
+      if (weight > 0) value |= 1n << BigInt(bit);
+    });
+    return value.toString(16).padStart(SIMHASH_BITS / 4, '0');
+  }
+
+  /**
+   * Share of equal bits of two SimHash fingerprints
+   * @param {string} a - Hex fingerprint
+   * @param {string} b - Hex fingerprint
+   * @returns {number} 0..1, 1 for identical fingerprints
+   */
+  static simhashSimilarity(a, b) {
+    let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (difference > 0n) {
+      distance += Number(difference & 1n);
+      difference >>= 1n;
+    }
+    return 1 - distance / SIMHASH_BITS;
+  }
+
+  /**
+   * Share of MinHash positions two signatures agree on: an estimate of the
+   * Jaccard resemblance of their shingle sets
+   * @param {Array} a - Signature
+   * @param {Array} b - Signature of the same length
+   * @returns {number} 0..1
+   */
+  static estimateResemblance(a, b) {
+    if (a.length === 0 || a.length !== b.length) return 0;
+    return a.filter((value, index) => value === b[index]).length / a.length;
+  }
+
+  /**
+   * Cosine similarity of two term vectors
+   * @param {Object} a - Term to count object
+   * @param {Object} b - Term to count object
+   * @returns {number} 0..1
+   */
+  static cosine(a, b) {
+    const norm = vector => Math.sqrt(Object.values(vector).reduce((sum, count) => sum + count * count, 0));
+    const dot = Object.entries(a).reduce((sum, [term, count]) => sum + count * (b[term] || 0), 0);
+    const denominator = norm(a) * norm(b);
+    return denominator > 0 ? dot / denominator : 0;
+  }
+
+  /**
+   * Passages of an article whose shingles also occur in another article:
+   * runs of consecutive shared shingles, merged into the words they cover
+   * @param {Array} tokens - Tokens of the article
+   * @param {Array} hashes - Shingle hashes of the article, in text order
+   * @param {Set} otherHashes - Shingle hashes of the other article
+   * @param {number} size - Words per shingle
+   * @param {number} minWords - Shortest passage to keep
+   * @returns {Array} Array of {text, words, start} objects, longest first
+   */
+  static findPassages(tokens, hashes, otherHashes, size, minWords) {
+    const passages = [];
+    let start = null;
+
+    [...hashes, null].forEach((hash, index) => {
+      if (hash !== null && otherHashes.has(hash)) {
+        if (start === null) start = index;
+        return;
+      }
+      if (start !== null) {
+        const words = tokens.slice(start, Math.min(index - 1 + size, tokens.length));
+        if (words.length >= minWords) passages.push({ text: words.join(' '), words: words.length, start });
+        start = null;
+      }
+    });
+
+    return passages.sort((a, b) => b.words - a.words || a.start - b.start);
+  }
+
+  /**
+   * Fingerprint an article
+   * @param {Object} article - Article with url, title, text and optionally analysis from WordAnalyzer
+   * @returns {Object} Fingerprint; `tokens` is kept for passage lookup but left out when stored
+   */
+  fingerprint(article) {
+    const { shingleSize, maxTerms } = this.options;
+    const language = article.analysis?.language?.code || this.wordAnalyzer.resolveLanguage(article.text || '', article.language).code;
+    const tokens = this.wordAnalyzer.tokenize(article.text || '', language);
+    const shingles = SimilarityAnalyzer.shingleHashes(tokens, shingleSize);
+    const frequency = article.analysis?.frequency || this.wordAnalyzer.countWordFrequency(this.wordAnalyzer.extractWords(article.text || '', language));
+    const terms = Object.fromEntries(Object.entries(frequency).sort((a, b) => b[1] - a[1]).slice(0, maxTerms));
+
+    return {
+      version: FINGERPRINT_VERSION,
+      url: article.url,
+      title: article.title,
+      language,
+      words: tokens.length,
+      shingleSize,
+      shingles: [...new Set(shingles)].sort((a, b) => a - b),
+      minhash: SimilarityAnalyzer.minhash(shingles, this.seeds),
+      simhash: SimilarityAnalyzer.simhash(terms),
+      terms,
+      tokens,
+      shingleSequence: shingles,
+    };
+  }
+
+  /**
+   * Whether two fingerprints were built the same way and can be compared
+   * @param {Object} a - Fingerprint
+   * @param {Object} b - Fingerprint
+   * @returns {boolean} True if comparable
+   */
+  static isComparable(a, b) {
+    return a.version === b.version && a.shingleSize === b.shingleSize && a.minhash.length === b.minhash.length;
+  }
+
+  /**
+   * Compare two fingerprints. Resemblance is the MinHash estimate of the shared
+   * share of both articles; containment is the share of the shorter article's
+   * shingles found in the other one, which catches a section reused in an
+   * otherwise different article.
+   * @param {Object} a - Fingerprint; passages are taken from it when it still has its tokens
+   * @param {Object} b - Fingerprint
+   * @returns {Object} Pair with resemblance, containment, simhash, cosine, passages and duplicate flag
+   */
+  compare(a, b) {
+    const { thresholds, minPassageWords } = this.options;
+    const otherShingles = new Set(b.shingles);
+    const shared = a.shingles.filter(hash => otherShingles.has(hash)).length;
+    const smaller = Math.min(a.shingles.length, b.shingles.length);
+
+    const scores = {
+      resemblance: round(SimilarityAnalyzer.estimateResemblance(a.minhash, b.minhash)),
+      containment: round(smaller > 0 ? shared / smaller : 0),
+      simhash: round(SimilarityAnalyzer.simhashSimilarity(a.simhash, b.simhash)),
+      cosine: round(SimilarityAnalyzer.cosine(a.terms, b.terms)),
+    };
+    const exceeded = ['resemblance', 'containment', 'cosine'].filter(metric => scores[metric] >= thresholds[metric]);
+
+    return {
+      a: { url: a.url, title: a.title },
+      b: { url: b.url, title: b.title },
+      ...scores,
+      sharedShingles: shared,
+      exceeded,
+      duplicate: exceeded.length > 0,
+      passages: a.tokens && a.shingleSequence
+        ? SimilarityAnalyzer.findPassages(a.tokens, a.shingleSequence, otherShingles, a.shingleSize, minPassageWords)
+        : [],
+    };
+  }
+
+  /**
+   * Compare every pair of articles from WordAnalyzer.analyzeMultipleArticles()
+   * @param {Object|Array} analysis - Result of analyzeMultipleArticles(), or its articles
+   * @returns {Object} {fingerprints, pairs, duplicates, thresholds}; pairs are sorted by the highest score
+   */
+  analyze(analysis) {
+    const articles = Array.isArray(analysis) ? analysis : analysis.articles;
+    // Articles without text (e.g. failed extractions) have nothing to compare
+    const fingerprints = articles.filter(article => !article.error && article.text).map(article => this.fingerprint(article));
+
+    const pairs = [];
+    fingerprints.forEach((a, i) => {
+      fingerprints.slice(i + 1).forEach(b => pairs.push(this.compare(a, b)));
+    });
+    pairs.sort((x, y) => Math.max(y.resemblance, y.containment) - Math.max(x.resemblance, x.containment) || y.cosine - x.cosine);
+
+    return {
+      fingerprints,
+      pairs,
+      duplicates: pairs.filter(pair => pair.duplicate),
+      thresholds: this.options.thresholds,
+    };
+  }
+
+  /**
+   * Check one article against archived fingerprints
+   * @param {Object} fingerprint - Fingerprint of the article, with its tokens
+   * @param {Array} archive - Stored fingerprints; the article's own entry and incomparable ones are skipped
+   * @param {Function} keyOf - Maps a URL to the key identifying an article (default: the URL itself)
+   * @returns {Array} Pairs reaching a threshold, highest score first
+   */
+  findSimilar(fingerprint, archive, keyOf = url => url) {
+    const key = keyOf(fingerprint.url);
+    return archive
+      .filter(stored => keyOf(stored.url) !== key && SimilarityAnalyzer.isComparable(fingerprint, stored))
+      .map(stored => this.compare(fingerprint, stored))
+      .filter(pair => pair.duplicate)
+      .sort((x, y) => Math.max(y.resemblance, y.containment) - Math.max(x.resemblance, x.containment));
+  }
+}
+
+SimilarityAnalyzer.FINGERPRINT_VERSION = FINGERPRINT_VERSION;
+
+module.exports = SimilarityAnalyzer;
@@ -0,0 +1,79 @@
+/**
+ * Stop Words
+ * Bundled stop-word lists keyed by ISO 639-1 language code.
+ * Used by WordAnalyzer for filtering and by LanguageDetector for detection.
+ */
+module.exports = {
+  en: [
+    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
+    'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
+    'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these',
+    'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
+    'my', 'your', 'his', 'her', 'its', 'our', 'their', 'from', 'up', 'about', 'into', 'over',
+    'after', 'all', 'any', 'both', 'each', 'few', 'more', 'most', 'other', 'some', 'such',
+    'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too', 'very', 'just', 'now',
+    'here', 'there', 'when', 'where', 'why', 'how', 'what', 'which', 'who', 'whom', 'whose',
+    'if', 'because', 'as', 'until', 'while', 'through', 'during', 'before', 'after', 'above',
+    'below', 'between', 'among', 'through', 'during', 'before', 'after', 'above', 'below'
+  ],
+  de: [
+    'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einer', 'eines', 'einem', 'einen',
+    'und', 'oder', 'aber', 'doch', 'in', 'im', 'an', 'am', 'auf', 'aus', 'bei', 'mit', 'nach',
+    'von', 'vom', 'zu', 'zum', 'zur', 'für', 'über', 'unter', 'vor', 'durch', 'gegen', 'ohne',
+    'ist', 'sind', 'war', 'waren', 'sein', 'wird', 'werden', 'wurde', 'wurden', 'hat', 'haben',
+    'hatte', 'kann', 'können', 'muss', 'müssen', 'soll', 'sollte', 'ich', 'du', 'er', 'sie', 'es',
+    'wir', 'ihr', 'mich', 'mir', 'uns', 'euch', 'ihnen', 'sich', 'mein', 'dein', 'unser', 'nicht',
+    'kein', 'keine', 'auch', 'noch', 'nur', 'schon', 'sehr', 'wie', 'was', 'wer', 'wo', 'wenn',
+    'dass', 'als', 'so', 'dann', 'hier', 'dort', 'diese', 'dieser', 'dieses', 'alle', 'mehr'
+  ],
+  fr: [
+    'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'mais', 'donc', 'car', 'ni',
+    'dans', 'sur', 'sous', 'avec', 'sans', 'pour', 'par', 'chez', 'entre', 'vers', 'en', 'au',
+    'aux', 'est', 'sont', 'était', 'être', 'été', 'avoir', 'ont', 'avait', 'fait', 'peut', 'je',
+    'tu', 'il', 'elle', 'nous', 'vous', 'ils', 'elles', 'on', 'me', 'te', 'se', 'lui', 'leur',
+    'mon', 'ton', 'son', 'ma', 'ta', 'sa', 'mes', 'ses', 'nos', 'vos', 'leurs', 'ce', 'cet',
+    'cette', 'ces', 'qui', 'que', 'quoi', 'dont', 'où', 'ne', 'pas', 'plus', 'très', 'aussi',
+    'comme', 'si', 'tout', 'tous', 'toutes', 'même', 'bien', 'ainsi', 'alors'
+  ],
+  es: [
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o', 'pero', 'sino', 'en', 'de',
+    'del', 'al', 'a', 'con', 'sin', 'por', 'para', 'sobre', 'entre', 'hasta', 'desde', 'es',
+    'son', 'era', 'fue', 'ser', 'estar', 'está', 'están', 'ha', 'han', 'haber', 'hay', 'puede',
+    'yo', 'tú', 'él', 'ella', 'nosotros', 'vosotros', 'ellos', 'ellas', 'me', 'te', 'se', 'le',
+    'les', 'lo', 'mi', 'tu', 'su', 'sus', 'nuestro', 'este', 'esta', 'estos', 'estas', 'ese',
+    'esa', 'que', 'quien', 'cual', 'donde', 'cuando', 'como', 'no', 'más', 'muy', 'también',
+    'ya', 'si', 'todo', 'todos', 'otro', 'otra'
+  ],
+  it: [
+    'il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una', 'e', 'o', 'ma', 'di', 'a', 'da', 'in',
+    'con', 'su', 'per', 'tra', 'fra', 'del', 'della', 'dei', 'delle', 'al', 'alla', 'nel', 'nella',
+    'è', 'sono', 'era', 'essere', 'stato', 'ha', 'hanno', 'avere', 'può', 'io', 'tu', 'lui', 'lei',
+    'noi', 'voi', 'loro', 'mi', 'ti', 'si', 'ci', 'vi', 'mio', 'tuo', 'suo', 'nostro', 'questo',
+    'questa', 'questi', 'quello', 'quella', 'che', 'chi', 'cui', 'dove', 'quando', 'come', 'non',
+    'più', 'molto', 'anche', 'già', 'se', 'tutto', 'tutti', 'altro'
+  ],
+  pt: [
+    'o', 'a', 'os', 'as', 'um', 'uma', 'uns', 'umas', 'e', 'ou', 'mas', 'de', 'do', 'da', 'dos',
+    'das', 'em', 'no', 'na', 'nos', 'nas', 'por', 'para', 'com', 'sem', 'sobre', 'entre', 'até',
+    'é', 'são', 'era', 'foi', 'ser', 'estar', 'está', 'estão', 'tem', 'têm', 'ter', 'há', 'pode',
+    'eu', 'tu', 'ele', 'ela', 'nós', 'vós', 'eles', 'elas', 'me', 'te', 'se', 'lhe', 'meu', 'seu',
+    'sua', 'nosso', 'este', 'esta', 'isto', 'esse', 'essa', 'isso', 'que', 'quem', 'qual', 'onde',
+    'quando', 'como', 'não', 'mais', 'muito', 'também', 'já', 'se', 'todo', 'todos', 'outro'
+  ],
+  nl: [
+    'de', 'het', 'een', 'en', 'of', 'maar', 'in', 'op', 'aan', 'bij', 'met', 'van', 'voor', 'naar',
+    'door', 'over', 'onder', 'tussen', 'uit', 'tot', 'om', 'is', 'zijn', 'was', 'waren', 'wordt',
+    'worden', 'werd', 'heeft', 'hebben', 'had', 'kan', 'kunnen', 'moet', 'zal', 'ik', 'jij', 'je',
+    'hij', 'zij', 'ze', 'wij', 'we', 'jullie', 'mij', 'me', 'ons', 'hun', 'hem', 'haar', 'mijn',
+    'jouw', 'zijn', 'onze', 'dit', 'dat', 'deze', 'die', 'wat', 'wie', 'waar', 'wanneer', 'hoe',
+    'niet', 'geen', 'ook', 'nog', 'al', 'er', 'hier', 'daar', 'zo', 'dan', 'als', 'meer', 'zeer'
+  ],
+  tr: [
+    've', 'veya', 'ile', 'ama', 'fakat', 'ancak', 'da', 'de', 'ki', 'mi', 'mı', 'mu', 'mü', 'bir',
+    'bu', 'şu', 'o', 'bunlar', 'şunlar', 'onlar', 'ben', 'sen', 'biz', 'siz', 'beni', 'bana',
+    'onu', 'ona', 'bizim', 'sizin', 'onların', 'için', 'gibi', 'kadar', 'göre', 'sonra', 'önce',
+    'daha', 'çok', 'en', 'az', 'her', 'hiç', 'hem', 'ise', 'değil', 'var', 'yok', 'olan', 'olarak',
+    'olduğu', 'oldu', 'olur', 'olmak', 'ne', 'neden', 'nasıl', 'nerede', 'hangi', 'kim', 'şey',
+    'tüm', 'bütün', 'diğer', 'aynı', 'yani', 'çünkü', 'eğer', 'ya', 'yine', 'artık', 'bile'
+  ]
+};
@@ -1,5 +1,9 @@
 const fs = require('fs').promises;
 const path = require('path');
+const Logger = require('./Logger');
+
+// Shared by every logStep() call; LOG_LEVEL and LOG_FORMAT configure it
+const logger = new Logger();
 
 /**
  * Test Helper Utilities
@@ -31,6 +35,30 @@ class TestHelpers {
     await fs.writeFile(filePath, content, 'utf8');
   }
 
+  /**
+   * Save content through a temporary file renamed into place, so readers and
+   * other workers writing the same path never see a partly written file
+   * @param {string} filePath - File path
+   * @param {string} content - Content to save
+   */
+  static async saveToFileAtomic(filePath, content) {
+    await this.ensureDirectory(path.dirname(filePath));
+    const tempPath = `${filePath}.${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.tmp`;
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Append content to file, creating it if needed
+   * @param {string} filePath - File path
+   * @param {string} content - Content to append
+   */
+  static async appendToFile(filePath, content) {
+    const dir = path.dirname(filePath);
+    await this.ensureDirectory(dir);
+    await fs.appendFile(filePath, content, 'utf8');
+  }
+
   /**
    * Read file content
    * @param {string} filePath - File path
@@ -71,23 +99,71 @@ class TestHelpers {
    * Wait for a specified amount of time
    * @param {number} ms - Milliseconds to wait
    */
+  static wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Delay before a retry: baseDelay doubled per attempt, capped at maxDelay,
+   * then shortened by up to `jitter` of itself so parallel retries spread out
+   * @param {number} attempt - Number of the failed attempt, starting at 1
+   * @param {Object} options - {baseDelay, maxDelay, jitter}
+   * @returns {number} Delay in milliseconds
+   */
+  static getBackoffDelay(attempt, { baseDelay = 1000, maxDelay = 10000, jitter = 0.5 } = {}) {
+    const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(delay * (1 - jitter * Math.random()));
+  }
 
   /**
    * Retry an operation with exponential backoff
-   * @param {Function} operation - Operation to retry
-   * @param {number} maxRetries - Maximum number of retries
-   * @param {number} baseDelay - Base delay in milliseconds
+   * @param {Function} operation - Operation to retry, called with the attempt number
+   * @param {Object} options - Retry options
+   * @param {number} options.maxRetries - Maximum number of retries (default 3)
+   * @param {number} options.baseDelay - Base delay in milliseconds (default 1000)
+   * @param {number} options.maxDelay - Longest delay between attempts (default 10000)
+   * @param {number} options.jitter - Share of each delay that is randomized, 0 to 1 (default 0.5)
+   * @param {number} options.maxTotalTime - Give up when the next attempt would start later than this many ms after the first
+   * @param {Function} options.shouldRetry - (error, attempt) => boolean; errors it rejects are thrown at once
+   * @param {Function} options.onRetry - (error, attempt, delay) => void, called before each wait
    * @returns {Promise} Operation result
+   * @throws The last error when no retry is left
    */
+  static async retry(operation, {
+    maxRetries = 3,
+    baseDelay = 1000,
+    maxDelay = 10000,
+    jitter = 0.5,
+    maxTotalTime = Infinity,
+    shouldRetry = () => true,
+    onRetry = null,
+  } = {}) {
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        const delay = this.getBackoffDelay(attempt, { baseDelay, maxDelay, jitter });
+        const outOfTime = Date.now() - startedAt + delay > maxTotalTime;
+        if (attempt > maxRetries || outOfTime || !shouldRetry(error, attempt)) {
+          throw error;
+        }
+
+        if (onRetry) onRetry(error, attempt, delay);
+        await this.wait(delay);
+      }
+    }
+  }
 
   /**
    * Log test step
    * @param {string} step - Step description
-   * @param {string} status - Step status (PASS/FAIL/INFO)
+   * @param {string} status - Step status (PASS/FAIL/INFO/WARN/DEBUG)
+   * @param {Object} fields - Extra fields for structured output, e.g. {articleIndex: 2}
    */
-  static logStep(step, status = 'INFO') {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] [${status}] ${step}`);
+  static logStep(step, status = 'INFO', fields = {}) {
+    logger.step(step, status, fields);
   }
 }
 
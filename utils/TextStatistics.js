@@ -0,0 +1,205 @@
+// Average silent reading speed for non-fiction, in words per minute (Brysbaert, 2019)
+const WORDS_PER_MINUTE = 238;
+// Type-token ratio at which MTLD closes a factor (McCarthy & Jarvis, 2010)
+const MTLD_THRESHOLD = 0.72;
+// Languages the Flesch, Flesch-Kincaid and Gunning Fog formulas are calibrated for
+const READABILITY_LANGUAGES = ['en'];
+// Abbreviations the sentence segmenter takes for a sentence end
+const ABBREVIATION_END = /(?:^|\s)(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|Inc|Ltd|Co|vs|No|Fig)\.$/;
+
+// Threshold name to the statistic it limits and whether the limit is a maximum or a minimum
+const THRESHOLD_METRICS = {
+  maxReadingTime: { value: stats => stats.readingTime.minutes, max: true },
+  maxAverageSentenceLength: { value: stats => stats.averageSentenceLength, max: true },
+  maxFleschKincaidGrade: { value: stats => stats.readability?.fleschKincaidGrade, max: true },
+  maxGunningFog: { value: stats => stats.readability?.gunningFog, max: true },
+  minFleschReadingEase: { value: stats => stats.readability?.fleschReadingEase, max: false },
+  minTypeTokenRatio: { value: stats => stats.lexicalDiversity.typeTokenRatio, max: false },
+  minMtld: { value: stats => stats.lexicalDiversity.mtld, max: false },
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Text Statistics
+ * Reading time, sentence and paragraph counts, lexical diversity and
+ * readability scores for sentence-aware text: paragraphs separated by blank
+ * lines, punctuation intact.
+ */
+class TextStatistics {
+  /**
+   * Split text into paragraphs at blank lines
+   * @param {string} text - Text with paragraphs separated by blank lines
+   * @returns {Array} Paragraphs
+   */
+  static splitParagraphs(text) {
+    return (text || '').split(/\n\s*\n/).map(paragraph => paragraph.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+
+  /**
+   * Split text into sentences. A paragraph always ends a sentence, so headings
+   * and list items without a full stop don't run into the next block.
+   * @param {string} text - Text with paragraphs separated by blank lines
+   * @param {string} language - Language code for sentence segmentation
+   * @returns {Array} Sentences containing at least one word
+   */
+  static splitSentences(text, language = 'en') {
+    const segmenter = typeof Intl.Segmenter === 'function'
+      ? new Intl.Segmenter(language || undefined, { granularity: 'sentence' })
+      : null;
+
+    return TextStatistics.splitParagraphs(text).flatMap(paragraph => {
+      const segments = segmenter
+        ? Array.from(segmenter.segment(paragraph), segment => segment.segment.trim())
+        : paragraph.split(/(?<=[.!?])\s+(?=\p{Lu}|\p{N})/u);
+
+      const sentences = [];
+      segments.forEach(segment => {
+        const previous = sentences[sentences.length - 1];
+        if (previous && ABBREVIATION_END.test(previous)) {
+          sentences[sentences.length - 1] = `${previous} ${segment}`;
+        } else {
+          sentences.push(segment);
+        }
+      });
+      return sentences.filter(sentence => TextStatistics.getWords(sentence).length > 0);
+    });
+  }
+
+  /**
+   * Words of a text, case and inner apostrophes or hyphens kept
+   * @param {string} text - Text
+   * @returns {Array} Words
+   */
+  static getWords(text) {
+    return (text || '').match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+  }
+
+  /**
+   * Estimate the syllables of an English word: groups of vowels, minus a
+   * silent final e, at least one
+   * @param {string} word - Word
+   * @returns {number} Syllable count
+   */
+  static countSyllables(word) {
+    const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!letters) return 1;
+    if (letters.length <= 3) return 1;
+
+    const stripped = letters
+      .replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, match => match[0])
+      .replace(/^y/, '');
+    const groups = stripped.match(/[aeiouy]+/g);
+    return Math.max(1, groups ? groups.length : 0);
+  }
+
+  /**
+   * Measure of Textual Lexical Diversity: mean number of words it takes for the
+   * running type-token ratio to fall to 0.72, read forwards and backwards.
+   * Unlike the plain type-token ratio it doesn't drop as texts get longer.
+   * @param {Array} tokens - Lowercased words in text order
+   * @param {number} threshold - Factor threshold (default 0.72)
+   * @returns {number} MTLD, 0 for an empty text
+   */
+  static mtld(tokens, threshold = MTLD_THRESHOLD) {
+    if (tokens.length === 0) return 0;
+
+    const factorsOf = sequence => {
+      let factors = 0;
+      let types = new Set();
+      let count = 0;
+      for (const token of sequence) {
+        types.add(token);
+        count++;
+        if (types.size / count <= threshold) {
+          factors++;
+          types = new Set();
+          count = 0;
+        }
+      }
+      // The unfinished factor counts in proportion to how far its ratio fell
+      if (count > 0) factors += (1 - types.size / count) / (1 - threshold);
+      return factors > 0 ? sequence.length / factors : sequence.length;
+    };
+
+    return (factorsOf(tokens) + factorsOf([...tokens].reverse())) / 2;
+  }
+
+  /**
+   * Compute the statistics of a text
+   * @param {string} text - Sentence-aware text, paragraphs separated by blank lines
+   * @param {Object} options - Options
+   * @param {string} options.language - Language code (default 'en'); readability scores are only
+   *   computed for languages the formulas are calibrated for, and are null otherwise
+   * @param {number} options.wordsPerMinute - Reading speed for the reading time (default 238)
+   * @returns {Object} Statistics
+   */
+  static compute(text, { language = 'en', wordsPerMinute = WORDS_PER_MINUTE } = {}) {
+    const paragraphs = TextStatistics.splitParagraphs(text);
+    const sentences = TextStatistics.splitSentences(text, language);
+    const words = TextStatistics.getWords(text);
+    const tokens = words.map(word => word.toLocaleLowerCase(language || undefined));
+    const wordCount = words.length;
+    const sentenceCount = sentences.length;
+    const perWord = value => (wordCount > 0 ? value / wordCount : 0);
+    const averageSentenceLength = sentenceCount > 0 ? wordCount / sentenceCount : 0;
+
+    let readability = null;
+    if (READABILITY_LANGUAGES.includes(language) && wordCount > 0 && sentenceCount > 0) {
+      const syllables = words.map(word => TextStatistics.countSyllables(word));
+      const syllablesPerWord = perWord(syllables.reduce((sum, count) => sum + count, 0));
+      // Complex words have three or more syllables; capitalized words, mostly names, are left out
+      const complexWords = words.filter((word, index) => syllables[index] >= 3 && !/^\p{Lu}/u.test(word)).length;
+
+      readability = {
+        syllablesPerWord: round(syllablesPerWord),
+        complexWords,
+        fleschReadingEase: round(206.835 - 1.015 * averageSentenceLength - 84.6 * syllablesPerWord, 1),
+        fleschKincaidGrade: round(0.39 * averageSentenceLength + 11.8 * syllablesPerWord - 15.59, 1),
+        gunningFog: round(0.4 * (averageSentenceLength + 100 * perWord(complexWords)), 1),
+      };
+    }
+
+    return {
+      language,
+      words: wordCount,
+      sentences: sentenceCount,
+      paragraphs: paragraphs.length,
+      averageSentenceLength: round(averageSentenceLength, 1),
+      sentencesPerParagraph: round(paragraphs.length > 0 ? sentenceCount / paragraphs.length : 0, 1),
+      averageWordLength: round(perWord(words.reduce((sum, word) => sum + word.length, 0))),
+      readingTime: {
+        minutes: round(wordCount / wordsPerMinute, 1),
+        wordsPerMinute,
+      },
+      lexicalDiversity: {
+        typeTokenRatio: round(perWord(new Set(tokens).size), 3),
+        mtld: round(TextStatistics.mtld(tokens), 1),
+      },
+      readability,
+    };
+  }
+
+  /**
+   * Check statistics against thresholds
+   * @param {Object} statistics - Result of compute()
+   * @param {Object} thresholds - Map of threshold name to limit (see config/readability-thresholds.js)
+   * @returns {Array} Array of {metric, value, limit, status}; status is 'pass', 'fail' or
+   *   'unsupported' when the statistic isn't available for the text's language
+   */
+  static checkThresholds(statistics, thresholds) {
+    return Object.entries(thresholds)
+      .filter(([metric]) => THRESHOLD_METRICS[metric])
+      .map(([metric, limit]) => {
+        const { value: read, max } = THRESHOLD_METRICS[metric];
+        const value = read(statistics);
+        if (value === null || value === undefined) return { metric, value: null, limit, status: 'unsupported' };
+        return { metric, value, limit, status: (max ? value <= limit : value >= limit) ? 'pass' : 'fail' };
+      });
+  }
+}
+
+TextStatistics.WORDS_PER_MINUTE = WORDS_PER_MINUTE;
+TextStatistics.THRESHOLD_METRICS = Object.keys(THRESHOLD_METRICS);
+
+module.exports = TextStatistics;
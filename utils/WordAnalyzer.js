@@ -1,54 +1,291 @@
+const WordNormalizer = require('./WordNormalizer');
+const LanguageDetector = require('./LanguageDetector');
+const StopWords = require('./StopWords');
+const ReportWriter = require('./ReportWriter');
+const TextStatistics = require('./TextStatistics');
+
+// Scripts written without spaces between words; tokenized with Intl.Segmenter
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+// Ideographic words are meaningful even when shorter than three characters
+const IDEOGRAPHIC = /[\p{Script=Han}\p{Script=Katakana}]/u;
+
 /**
  * Word Analyzer Utility
  * Handles word frequency analysis and text processing
  */
 class WordAnalyzer {
-  constructor() {
-    // Common stop words to filter out
-    this.stopWords = new Set([
-      'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
-      'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
-      'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these',
-      'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
-      'my', 'your', 'his', 'her', 'its', 'our', 'their', 'from', 'up', 'about', 'into', 'over',
-      'after', 'all', 'any', 'both', 'each', 'few', 'more', 'most', 'other', 'some', 'such',
-      'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too', 'very', 'just', 'now',
-      'here', 'there', 'when', 'where', 'why', 'how', 'what', 'which', 'who', 'whom', 'whose',
-      'if', 'because', 'as', 'until', 'while', 'through', 'during', 'before', 'after', 'above',
-      'below', 'between', 'among', 'through', 'during', 'before', 'after', 'above', 'below'
-    ]);
-  }
-
-  /**
-   * Clean and normalize text
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {Array} options.ngramSizes - Phrase lengths to count (default [2, 3])
+   * @param {number} options.topPhraseCount - Number of top phrases to report (default 5)
+   * @param {string} options.collocationMeasure - 'llr' (log-likelihood) or 'pmi'
+   * @param {number} options.minPhraseCount - Minimum occurrences for a collocation to be scored
+   * @param {string} options.keywordScoring - 'tfidf' or 'bm25' for distinctive keyword ranking
+   * @param {number} options.bm25K1 - BM25 term frequency saturation (default 1.2)
+   * @param {number} options.bm25B - BM25 document length normalization (default 0.75)
+   * @param {string} options.normalization - 'none', 'stem' (Porter) or 'lemma' to count word variants together
+   * @param {string} options.language - Language code of the texts, or 'auto' to detect it per text
+   * @param {string} options.defaultLanguage - Language used when detection is inconclusive (default 'en')
+   * @param {Object} options.stopWords - Map of language code to stop-word array, replacing the bundled list
+   * @param {Object} options.additionalStopWords - Map of language code to stop words added to the list
+   * @param {number} options.wordsPerMinute - Reading speed for reading time estimates (default 238)
+   */
+  constructor(options = {}) {
+    this.options = {
+      ngramSizes: [2, 3],
+      topPhraseCount: 5,
+      collocationMeasure: 'llr',
+      minPhraseCount: 2,
+      keywordScoring: 'tfidf',
+      bm25K1: 1.2,
+      bm25B: 0.75,
+      normalization: 'none',
+      language: 'auto',
+      defaultLanguage: 'en',
+      stopWords: {},
+      additionalStopWords: {},
+      wordsPerMinute: TextStatistics.WORDS_PER_MINUTE,
+      ...options
+    };
+
+    this.normalizer = new WordNormalizer(this.options.normalization);
+
+    // Stop words to filter out, per language
+    const lists = { ...StopWords, ...this.options.stopWords };
+    const additional = this.options.additionalStopWords || {};
+    this.stopWordLists = {};
+    new Set([...Object.keys(lists), ...Object.keys(additional)]).forEach(language => {
+      this.stopWordLists[language] = new Set([...(lists[language] || []), ...(additional[language] || [])]);
+    });
+
+    // Stop words of the default language
+    this.stopWords = this.getStopWords(this.options.defaultLanguage);
+  }
+
+  /**
+   * Get the stop-word set for a language
+   * @param {string} language - Language code
+   * @returns {Set} Stop words (empty when no list exists for the language)
+   */
+  getStopWords(language) {
+    return this.stopWordLists[language] || new Set();
+  }
+
+  /**
+   * Decide which language a text is in
+   * @param {string} text - Raw text
+   * @param {string} language - Language code, or 'auto' to detect it
+   * @returns {Object} {code, confidence, source} where source is 'configured', 'detected' or 'default'
+   */
+  resolveLanguage(text, language = this.options.language) {
+    if (language && language !== 'auto') {
+      return { code: language, confidence: 1, source: 'configured' };
+    }
+
+    const detection = LanguageDetector.detect(this.tokenize(text), this.stopWordLists);
+    if (!detection.language) {
+      return { code: this.options.defaultLanguage, confidence: 0, source: 'default' };
+    }
+    return { code: detection.language, confidence: detection.confidence, source: 'detected' };
+  }
+
+  /**
+   * Clean and normalize text. Letters and digits of every script are kept.
    * @param {string} text - Raw text to clean
+   * @param {string} language - Language code for locale-aware lowercasing (e.g. Turkish I/ı)
    * @returns {string} Cleaned text
    */
-  cleanText(text) {
+  cleanText(text, language = null) {
     if (!text) return '';
     
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
+    return (language ? text.toLocaleLowerCase(language) : text.toLowerCase())
+      .normalize('NFC')
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ') // Replace punctuation with spaces
       .replace(/\s+/g, ' ') // Replace multiple spaces with single space
       .trim();
   }
 
+  /**
+   * Split text into lowercased tokens
+   * @param {string} text - Raw text
+   * @param {string} language - Language code
+   * @returns {Array} Array of tokens
+   */
+  tokenize(text, language = null) {
+    const cleanedText = this.cleanText(text, language);
+    if (!cleanedText) return [];
+
+    if (UNSPACED_SCRIPT.test(cleanedText) && typeof Intl.Segmenter === 'function') {
+      const segmenter = new Intl.Segmenter(language || undefined, { granularity: 'word' });
+      return Array.from(segmenter.segment(cleanedText))
+        .filter(segment => segment.isWordLike)
+        .map(segment => segment.segment);
+    }
+
+    return cleanedText.split(/\s+/);
+  }
+
   /**
    * Extract words from text
    * @param {string} text - Text to extract words from
+   * @param {string} language - Language code (default language when omitted)
    * @returns {Array} Array of words
    */
-  extractWords(text) {
-    const cleanedText = this.cleanText(text);
-    if (!cleanedText) return [];
+  extractWords(text, language = this.options.defaultLanguage) {
+    const stopWords = this.getStopWords(language);
+
+    return this.tokenize(text, language)
+      .filter(word => this.isCountableWord(word, stopWords));
+  }
+
+  /**
+   * Check whether a token counts as a word for frequency analysis
+   * @param {string} word - Cleaned token
+   * @param {Set} stopWords - Stop words of the text's language
+   * @returns {boolean} True if the word should be counted
+   */
+  isCountableWord(word, stopWords = this.stopWords) {
+    return word.trim().length > 0 && // Filter empty strings
+      (word.length >= 3 || IDEOGRAPHIC.test(word)) && // Filter words shorter than 3 characters
+      !stopWords.has(word) && // Filter stop words
+      !/^\p{N}+$/u.test(word); // Filter pure numbers
+  }
+
+  /**
+   * Split text into phrase segments at sentence and punctuation boundaries
+   * @param {string} text - Raw text
+   * @param {string} language - Language code
+   * @returns {Array} Array of token arrays, one per segment
+   */
+  extractSegments(text, language = this.options.defaultLanguage) {
+    if (!text) return [];
 
-    return cleanedText
-      .split(/\s+/)
-      .filter(word => word.length >= 3) // Filter words shorter than 3 characters
-      .filter(word => !this.stopWords.has(word)) // Filter stop words
-      .filter(word => !/^\d+$/.test(word)) // Filter pure numbers
-      .filter(word => word.trim().length > 0); // Filter empty strings
+    return text
+      .split(/[.!?;:,()[\]{}"“”„«»…。！？、\n\r]+|\s[-–—]+\s/)
+      .map(segment => this.tokenize(segment, language))
+      .filter(tokens => tokens.length > 0);
+  }
+
+  /**
+   * Extract n-grams that stay within a segment and never bridge a stop word
+   * @param {string} text - Raw text
+   * @param {number} size - Number of words per phrase
+   * @param {string} language - Language code
+   * @returns {Array} Array of phrases
+   */
+  extractNgrams(text, size = 2, language = this.options.defaultLanguage) {
+    const phrases = [];
+    const stopWords = this.getStopWords(language);
+
+    this.extractSegments(text, language).forEach(tokens => {
+      let run = [];
+      // Stop words and other non-countable tokens end the current run of words
+      [...tokens, null].forEach(token => {
+        if (token && this.isCountableWord(token, stopWords)) {
+          run.push(token);
+          return;
+        }
+        for (let i = 0; i + size <= run.length; i++) {
+          phrases.push(run.slice(i, i + size).join(' '));
+        }
+        run = [];
+      });
+    });
+
+    return phrases;
+  }
+
+  /**
+   * Count phrase frequency for every configured n-gram size
+   * @param {string} text - Raw text
+   * @param {string} language - Language code
+   * @returns {Object} Phrase frequency object
+   */
+  countPhraseFrequency(text, language = this.options.defaultLanguage) {
+    const phrases = this.options.ngramSizes.flatMap(size => this.extractNgrams(text, size, language));
+    return this.countWordFrequency(phrases);
+  }
+
+  /**
+   * Get top N phrases by frequency
+   * @param {Object} phraseFrequency - Phrase frequency object
+   * @param {number} count - Number of top phrases to return
+   * @returns {Array} Array of {phrase, count} objects sorted by frequency
+   */
+  getTopPhrases(phraseFrequency, count = this.options.topPhraseCount) {
+    return this.getTopWords(phraseFrequency, count)
+      .map(({ word, count }) => ({ phrase: word, count }));
+  }
+
+  /**
+   * Score two-word phrases by how strongly their words attract each other.
+   * Marginals come from the bigram counts themselves, so the score is
+   * self-contained for a single article or a combined corpus.
+   * @param {Object} phraseFrequency - Phrase frequency object (bigrams are used)
+   * @param {number} count - Number of collocations to return
+   * @returns {Array} Array of {phrase, count, score, measure} objects sorted by score
+   */
+  scoreCollocations(phraseFrequency, count = this.options.topPhraseCount) {
+    const measure = this.options.collocationMeasure;
+    const bigrams = Object.entries(phraseFrequency)
+      .map(([phrase, count]) => ({ phrase, count, words: phrase.split(' ') }))
+      .filter(bigram => bigram.words.length === 2);
+
+    const total = bigrams.reduce((sum, bigram) => sum + bigram.count, 0);
+    const firstCounts = {};
+    const secondCounts = {};
+    bigrams.forEach(({ words: [first, second], count }) => {
+      firstCounts[first] = (firstCounts[first] || 0) + count;
+      secondCounts[second] = (secondCounts[second] || 0) + count;
+    });
+
+    return bigrams
+      .filter(bigram => bigram.count >= this.options.minPhraseCount)
+      .map(({ phrase, count, words: [first, second] }) => {
+        const score = measure === 'pmi'
+          ? Math.log2((count * total) / (firstCounts[first] * secondCounts[second]))
+          : this.logLikelihood(count, firstCounts[first], secondCounts[second], total);
+        return { phrase, count, score: Number(score.toFixed(4)), measure };
+      })
+      .sort((a, b) => b.score - a.score || b.count - a.count)
+      .slice(0, count);
+  }
+
+  /**
+   * Dunning's log-likelihood ratio for a bigram contingency table
+   * @param {number} both - Count of the bigram
+   * @param {number} firstTotal - Bigrams starting with the first word
+   * @param {number} secondTotal - Bigrams ending with the second word
+   * @param {number} total - Total bigram count
+   * @returns {number} G² statistic
+   */
+  logLikelihood(both, firstTotal, secondTotal, total) {
+    const cells = [
+      [both, firstTotal, secondTotal],
+      [firstTotal - both, firstTotal, total - secondTotal],
+      [secondTotal - both, total - firstTotal, secondTotal],
+      [total - firstTotal - secondTotal + both, total - firstTotal, total - secondTotal]
+    ];
+
+    return 2 * cells.reduce((sum, [observed, row, column]) => {
+      if (observed <= 0) return sum;
+      const expected = (row * column) / total;
+      return sum + observed * Math.log(observed / expected);
+    }, 0);
+  }
+
+  /**
+   * Build phrase analysis from a phrase frequency object
+   * @param {Object} phraseFrequency - Phrase frequency object
+   * @param {number} count - Number of top phrases and collocations
+   * @returns {Object} Phrase analysis results
+   */
+  analyzePhrases(phraseFrequency, count = this.options.topPhraseCount) {
+    return {
+      frequency: phraseFrequency,
+      topPhrases: this.getTopPhrases(phraseFrequency, count),
+      collocations: this.scoreCollocations(phraseFrequency, count)
+    };
   }
 
   /**
@@ -80,20 +317,66 @@ class WordAnalyzer {
   }
 
   /**
-   * Analyze text and return word frequency
+   * Merge word variants that share a normalized form. Each group is reported
+   * under its most common surface form, and groups with more than one form
+   * list the merged variants with their counts.
+   * @param {Object} surfaceFrequency - Frequency object of words as written
+   * @param {Object} representatives - Optional key to display word map, so
+   *   several articles report the same group under the same word
+   * @returns {Object} {frequency, variants, representatives}
+   */
+  groupVariants(surfaceFrequency, representatives = null) {
+    const groups = {};
+    Object.entries(surfaceFrequency).forEach(([word, count]) => {
+      const key = this.normalizer.normalize(word);
+      groups[key] = groups[key] || {};
+      groups[key][word] = count;
+    });
+
+    const frequency = {};
+    const variants = {};
+    const chosen = {};
+
+    Object.entries(groups).forEach(([key, forms]) => {
+      const display = representatives?.[key] || Object.entries(forms)
+        .sort(([a, countA], [b, countB]) => countB - countA || a.length - b.length || a.localeCompare(b))[0][0];
+
+      chosen[key] = display;
+      frequency[display] = Object.values(forms).reduce((sum, count) => sum + count, 0);
+      if (Object.keys(forms).length > 1) {
+        variants[display] = { key, forms };
+      }
+    });
+
+    return { frequency, variants, representatives: chosen };
+  }
+
+  /**
+   * Analyze text and return word frequency and text statistics
    * @param {string} text - Text to analyze
+   * @param {string} language - Language code, or 'auto' to detect it (defaults to the analyzer option)
+   * @param {Object} options - Analysis options
+   * @param {string} options.prose - Running text for the statistics (paragraphs separated by blank
+   *   lines, headings and code left out); defaults to the text itself
    * @returns {Object} Analysis results
    */
-  analyzeText(text) {
-    const words = this.extractWords(text);
-    const frequency = this.countWordFrequency(words);
+  analyzeText(text, language = this.options.language, { prose = text } = {}) {
+    const detected = this.resolveLanguage(text, language);
+    const words = this.extractWords(text, detected.code);
+    const surfaceFrequency = this.countWordFrequency(words);
+    const { frequency, variants } = this.groupVariants(surfaceFrequency);
     const topWords = this.getTopWords(frequency);
     
     return {
+      language: detected,
       totalWords: words.length,
       uniqueWords: Object.keys(frequency).length,
       frequency,
-      topWords
+      surfaceFrequency,
+      variants,
+      topWords,
+      phrases: this.analyzePhrases(this.countPhraseFrequency(text, detected.code)),
+      statistics: TextStatistics.compute(prose || '', { language: detected.code, wordsPerMinute: this.options.wordsPerMinute }),
     };
   }
 
@@ -114,30 +397,132 @@ class WordAnalyzer {
     return combined;
   }
 
+  /**
+   * Count in how many documents each word appears
+   * @param {Array} frequencyObjects - Array of per-document frequency objects
+   * @returns {Object} Word to document frequency object
+   */
+  computeDocumentFrequency(frequencyObjects) {
+    const documentFrequency = {};
+
+    frequencyObjects.forEach(freq => {
+      Object.keys(freq).forEach(word => {
+        documentFrequency[word] = (documentFrequency[word] || 0) + 1;
+      });
+    });
+
+    return documentFrequency;
+  }
+
+  /**
+   * Score every word of one document against the corpus.
+   * TF-IDF uses relative term frequency and idf = ln((N + 1) / df), so words
+   * found in every article score close to zero; BM25 uses its usual idf with
+   * term frequency saturation and document length normalization.
+   * @param {Object} frequency - Word frequency object of the document
+   * @param {Object} documentFrequency - Word to document frequency object
+   * @param {number} totalDocuments - Number of documents in the corpus
+   * @param {number} averageLength - Average document length in words (BM25 only)
+   * @returns {Object} Word to score object
+   */
+  scoreKeywords(frequency, documentFrequency, totalDocuments, averageLength = 0) {
+    const length = Object.values(frequency).reduce((sum, count) => sum + count, 0);
+    const { keywordScoring, bm25K1, bm25B } = this.options;
+    const scores = {};
+
+    Object.entries(frequency).forEach(([word, count]) => {
+      const df = documentFrequency[word] || 1;
+
+      if (keywordScoring === 'bm25') {
+        const idf = Math.log(1 + (totalDocuments - df + 0.5) / (df + 0.5));
+        const norm = bm25K1 * (1 - bm25B + bm25B * (length / (averageLength || length || 1)));
+        scores[word] = idf * (count * (bm25K1 + 1)) / (count + norm);
+      } else {
+        scores[word] = (count / (length || 1)) * Math.log((totalDocuments + 1) / df);
+      }
+    });
+
+    return scores;
+  }
+
+  /**
+   * Get top N keywords by score
+   * @param {Object} scores - Word to score object
+   * @param {Object} frequency - Word frequency object for the raw counts
+   * @param {Object} documentFrequency - Word to document frequency object
+   * @param {number} count - Number of keywords to return
+   * @returns {Array} Array of {word, score, count, documentFrequency} objects sorted by score
+   */
+  getTopKeywords(scores, frequency, documentFrequency, count = 5) {
+    return Object.entries(scores)
+      .map(([word, score]) => ({
+        word,
+        score: Number(score.toFixed(6)),
+        count: frequency[word] || 0,
+        documentFrequency: documentFrequency[word] || 0
+      }))
+      .sort((a, b) => b.score - a.score || b.count - a.count)
+      .slice(0, count);
+  }
+
   /**
    * Analyze multiple articles and return combined frequency and top words
-   * @param {Array} articles - Array of article objects with text property
+   * @param {Array} articles - Array of article objects with text and optional language properties
    * @param {number} topCount - Number of top words to return (default 5)
    * @returns {Object} Analysis result
    */
   analyzeMultipleArticles(articles, topCount = 5) {
     const articleAnalyses = [];
     const allFrequencies = [];
+    const allPhraseFrequencies = [];
 
     for (const article of articles) {
-      const analysis = this.analyzeText(article.text || '');
+      const analysis = this.analyzeText(article.text || '', article.language, { prose: article.prose || article.text });
       article.analysis = analysis;
       articleAnalyses.push(article);
-      allFrequencies.push(analysis.frequency);
+      allPhraseFrequencies.push(analysis.phrases.frequency);
     }
 
+    // Group variants over the whole corpus so every article uses the same display words
+    const combined = this.groupVariants(
+      this.combineFrequencies(articleAnalyses.map(article => article.analysis.surfaceFrequency))
+    );
+    articleAnalyses.forEach(({ analysis }) => {
+      const { frequency, variants } = this.groupVariants(analysis.surfaceFrequency, combined.representatives);
+      Object.assign(analysis, { frequency, variants, topWords: this.getTopWords(frequency) });
+      allFrequencies.push(frequency);
+    });
+
     const combinedFrequency = this.combineFrequencies(allFrequencies);
     const topWords = this.getTopWords(combinedFrequency, topCount);
+    const phrases = this.analyzePhrases(this.combineFrequencies(allPhraseFrequencies), topCount);
+
+    // Articles without text (e.g. failed extractions) are not part of the corpus
+    const corpus = articleAnalyses.filter(article => article.analysis.totalWords > 0);
+    const documentFrequency = this.computeDocumentFrequency(corpus.map(article => article.analysis.frequency));
+    const averageLength = corpus.reduce((sum, article) => sum + article.analysis.totalWords, 0) / (corpus.length || 1);
+    const corpusScores = {};
+
+    corpus.forEach(article => {
+      const scores = this.scoreKeywords(article.analysis.frequency, documentFrequency, corpus.length, averageLength);
+      article.analysis.keywords = this.getTopKeywords(scores, article.analysis.frequency, documentFrequency, topCount);
+
+      Object.entries(scores).forEach(([word, score]) => {
+        corpusScores[word] = (corpusScores[word] || 0) + score;
+      });
+    });
 
     return {
       articles: articleAnalyses,
       combinedFrequency,
+      documentFrequency,
+      corpusSize: corpus.length,
+      variants: combined.variants,
+      normalization: this.options.normalization,
       topWords,
+      topKeywords: this.getTopKeywords(corpusScores, combinedFrequency, documentFrequency, topCount),
+      keywordScoring: this.options.keywordScoring,
+      phrases,
       totalArticles: articles.length
     };
   }
@@ -145,32 +530,12 @@ class WordAnalyzer {
   /**
    * Save results to file format
    * @param {Array} topWords - Array of top words
-   * @param analysis
-   * @returns {string} File content
+   * @param {Object} analysis - Result of analyzeMultipleArticles()
+   * @returns {string} File content in the plain text layout
    */
   generateFileContent(topWords, analysis) {
-    let content = 'Word Frequency Analysis Results\n';
-    content += '===============================\n\n';
-    content += `Analysis Date: ${new Date().toISOString()}\n`;
-    content += `Articles Analyzed: ${analysis.articles.length}\n\n`;
-
-    content += 'Articles:\n';
-      analysis.articles.forEach((article, index) => {
-      content += `${index + 1}. ${article.title || 'Unknown Title'}\n`;
-      content += `   URL: ${article.url || 'Unknown URL'}\n`;
-      content += `   Words: ${article.analysis?.totalWords || 0}\n\n`;
-    });
-
-    content += 'Top 5 Most Repeated Words Across All Articles:\n';
-    content += '==============================================\n';
-    
-    topWords.forEach((item, index) => {
-      content += `${index + 1}. "${item.word}" - ${item.count} occurrences\n`;
-    });
-
-    content += '\n\nGenerated by Haci Arpaci\n';
-    
-    return content;
+    const report = ReportWriter.buildReport({ ...analysis, topWords }, { generatedBy: 'Haci Arpaci' });
+    return ReportWriter.render('text', report);
   }
 }
 
@@ -0,0 +1,191 @@
+// Porter stemmer building blocks (consonant/vowel sequences and measure tests)
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANT_SEQ = `${CONSONANT}[^aeiouy]*`;
+const VOWEL_SEQ = `${VOWEL}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}(${VOWEL_SEQ})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANT_SEQ}${VOWEL}[^aeiouwxy]$`);
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+// Irregular forms the suffix rules of the lemmatizer cannot recover
+const IRREGULAR_LEMMAS = {
+  children: 'child', people: 'person', men: 'man', women: 'woman', feet: 'foot', teeth: 'tooth',
+  mice: 'mouse', data: 'data', analyses: 'analysis', indices: 'index', criteria: 'criterion',
+  built: 'build', made: 'make', found: 'find', went: 'go', gone: 'go', saw: 'see', seen: 'see',
+  took: 'take', taken: 'take', gave: 'give', given: 'give', got: 'get', gotten: 'get',
+  ran: 'run', knew: 'know', known: 'know', thought: 'think', brought: 'bring', bought: 'buy',
+  led: 'lead', left: 'leave', kept: 'keep', meant: 'mean', sent: 'send', spent: 'spend',
+  better: 'good', best: 'good', worse: 'bad', worst: 'bad'
+};
+
+// Words the -ing/-ed rules below would cut, although they are not inflected
+const NOT_INFLECTED = new Set([
+  'nothing', 'something', 'anything', 'everything', 'during', 'morning', 'evening', 'ceiling', 'wedding',
+  'indeed', 'proceed', 'exceed', 'succeed', 'embed', 'hundred', 'sacred', 'naked', 'wicked'
+]);
+
+/**
+ * Word Normalizer
+ * Maps word variants to a shared key so they can be counted together.
+ * Supports a Porter stemmer ('stem') and a rule-based English lemmatizer ('lemma').
+ */
+class WordNormalizer {
+  /**
+   * @param {string} mode - 'none', 'stem' or 'lemma'
+   */
+  constructor(mode = 'none') {
+    if (!['none', 'stem', 'lemma'].includes(mode)) {
+      throw new Error(`Unknown normalization mode: ${mode}`);
+    }
+    this.mode = mode;
+    this.cache = new Map();
+  }
+
+  /**
+   * Get the group key for a word
+   * @param {string} word - Lowercased word
+   * @returns {string} Normalized key
+   */
+  normalize(word) {
+    if (this.mode === 'none') return word;
+
+    if (!this.cache.has(word)) {
+      const key = this.mode === 'stem' ? WordNormalizer.stem(word) : WordNormalizer.lemmatize(word);
+      this.cache.set(word, key);
+    }
+    return this.cache.get(word);
+  }
+
+  /**
+   * Porter stemmer (M.F. Porter, 1980)
+   * @param {string} word - Lowercased word
+   * @returns {string} Word stem
+   */
+  static stem(word) {
+    if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+    let w = word;
+    const startsWithY = w[0] === 'y';
+    if (startsWithY) w = `Y${w.slice(1)}`;
+
+    // Step 1a: plurals
+    if (/^(.+?)(ss|i)es$/.test(w)) {
+      w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+    } else if (/^(.+?)([^s])s$/.test(w)) {
+      w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+    }
+
+    // Step 1b: -eed, -ed, -ing
+    let match;
+    if ((match = /^(.+?)eed$/.exec(w))) {
+      if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+      w = match[1];
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (ENDS_CVC.test(w)) {
+        w += 'e';
+      }
+    }
+
+    // Step 1c: y -> i
+    if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+      w = `${match[1]}i`;
+    }
+
+    // Step 2: double suffixes
+    match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+    if (match && MEASURE_GT_0.test(match[1])) {
+      w = match[1] + STEP2_SUFFIXES[match[2]];
+    }
+
+    // Step 3: -ic-, -full, -ness etc.
+    match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+    if (match && MEASURE_GT_0.test(match[1])) {
+      w = match[1] + STEP3_SUFFIXES[match[2]];
+    }
+
+    // Step 4: -ant, -ence etc.
+    if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+      if (MEASURE_GT_1.test(match[1])) w = match[1];
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+      if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+    }
+
+    // Step 5: final -e and -ll
+    if ((match = /^(.+?)e$/.exec(w))) {
+      const stem = match[1];
+      if (MEASURE_GT_1.test(stem) || (MEASURE_EQ_1.test(stem) && !ENDS_CVC.test(stem))) {
+        w = stem;
+      }
+    }
+    if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+      w = w.slice(0, -1);
+    }
+
+    return startsWithY ? `y${w.slice(1)}` : w;
+  }
+
+  /**
+   * Rule-based English lemmatizer: irregular forms, then plural and
+   * -ing/-ed suffix rules. A plural is reduced first and the result
+   * lemmatized again, so buildings, building and build share a lemma.
+   * Unlike the stemmer it returns dictionary-like words.
+   * @param {string} word - Lowercased word
+   * @returns {string} Lemma
+   */
+  static lemmatize(word) {
+    if (IRREGULAR_LEMMAS[word]) return IRREGULAR_LEMMAS[word];
+    if (NOT_INFLECTED.has(word)) return word;
+    if (word.length < 4 || !/^[a-z]+$/.test(word)) return word;
+
+    const singular = WordNormalizer.singularize(word);
+    if (singular !== word) return WordNormalizer.lemmatize(singular);
+
+    // Porter's (m>0) EED -> EE: agreed -> agree, but need, bleed and heed stay
+    const eed = /^(.+?)eed$/.exec(word);
+    if (eed) return MEASURE_GT_0.test(eed[1]) ? word.slice(0, -1) : word;
+
+    const match = /^(.+?)(ing|ed)$/.exec(word);
+    if (match && HAS_VOWEL.test(match[1]) && match[1].length >= 2) {
+      const stem = match[1];
+      if (/([^aeiouylsz])\1$/.test(stem)) return stem.slice(0, -1); // mapping -> map
+      if (/(at|bl|iz|iv|uc|ur)$/.test(stem)) return `${stem}e`; // locating -> locate
+      if (stem.length <= 3 && (ENDS_CVC.test(stem) || /^[aeiou][^aeiouwxy]$/.test(stem))) return `${stem}e`; // making -> make
+      if (/i$/.test(stem) && match[2] === 'ed') return `${stem.slice(0, -1)}y`; // applied -> apply
+      return stem;
+    }
+
+    return word;
+  }
+
+  /**
+   * Singular of a regular English plural
+   * @param {string} word - Lowercased word
+   * @returns {string} Singular, or the word itself when it is not a plural
+   */
+  static singularize(word) {
+    if (/ies$/.test(word) && word.length > 4) return word.replace(/ies$/, 'y');
+    if (/sses$/.test(word)) return word.slice(0, -2);
+    if (/(x|ch|sh|zz)es$/.test(word)) return word.slice(0, -2);
+    if (/s$/.test(word) && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+  }
+}
+
+module.exports = WordNormalizer;